@@ -0,0 +1,80 @@
+// Keeps a history of the changes which are made to documents of audited models.
+// Audit records are stored through the storage adapter in their own table.
+
+let Audit = function (options) {
+  this.options = options || {};
+  this.adapter = this.options.adapter;
+  this.tableName = this.options.tableName || 'CRUDAudit';
+  this.getModifiedResourceFields = this.options.getModifiedResourceFields;
+  this.getSubject = this.options.getSubject || ((authToken) => {
+    if (authToken && authToken.sub !== undefined) {
+      return authToken.sub;
+    }
+    return null;
+  });
+};
+
+Audit.prototype.historyViewName = 'resourceHistory';
+
+// The schema of the audit table - The history view supports both the thinky adapter
+// (transform) and the memory adapter (filter).
+Audit.prototype.getSchema = function () {
+  let views = {};
+  views[this.historyViewName] = {
+    paramFields: ['resourceType', 'resourceId'],
+    // Records are read through a [resourceType, resourceId, timestamp, id] index.
+    indexParamFields: ['resourceType', 'resourceId'],
+    orderKey: 'timestamp',
+    orderDirection: 'desc',
+    transform: (fullTableQuery, r, params) => {
+      return fullTableQuery.filter(
+        r.row('resourceType').eq(params.resourceType).and(r.row('resourceId').eq(params.resourceId))
+      );
+    },
+    filter: (record, params) => {
+      return record.resourceType === params.resourceType && record.resourceId === params.resourceId;
+    }
+  };
+  return {
+    fields: {},
+    views: views
+  };
+};
+
+let sanitizeValue = function (value) {
+  return value === undefined ? null : value;
+};
+
+Audit.prototype.createRecord = function (change, authToken) {
+  let modifiedFields = this.getModifiedResourceFields(change);
+  let fields = {};
+  Object.keys(modifiedFields).forEach((field) => {
+    fields[field] = {
+      before: sanitizeValue(modifiedFields[field].before),
+      after: sanitizeValue(modifiedFields[field].after)
+    };
+  });
+  return {
+    resourceType: change.type,
+    resourceId: change.id,
+    action: change.action,
+    fields: fields,
+    subject: sanitizeValue(this.getSubject(authToken)),
+    timestamp: new Date()
+  };
+};
+
+Audit.prototype.record = function (change, authToken, callback) {
+  let record = this.createRecord(change, authToken);
+  this.adapter.insert(this.tableName, record, callback);
+};
+
+Audit.prototype.readHistory = function (query, pageQuery, callback) {
+  let viewParams = {
+    resourceType: query.type,
+    resourceId: query.id
+  };
+  this.adapter.viewQuery(this.tableName, this.historyViewName, viewParams, pageQuery, callback);
+};
+
+module.exports = Audit;
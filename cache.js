@@ -1,11 +1,22 @@
 const EventEmitter = require('events').EventEmitter;
 
 let Cache = function (options) {
-  this._cache = {};
+  // Entries are kept in least recently used order.
+  this._cache = new Map();
   this._watchers = {};
+  this._totalBytes = 0;
   this.options = options || {};
   this.cacheDuration = this.options.cacheDuration || 10000;
   this.cacheDisabled = !!this.options.cacheDisabled;
+  // If neither limit is set, the cache is unbounded.
+  this.maxEntries = this.options.maxEntries || null;
+  this.maxBytes = this.options.maxBytes || null;
+
+  this._stats = {
+    hits: 0,
+    misses: 0,
+    evictions: 0
+  };
 };
 
 Cache.prototype = Object.create(EventEmitter.prototype);
@@ -24,37 +35,93 @@ Cache.prototype._simplifyQuery = function (query) {
   };
 };
 
+Cache.prototype._getEntrySize = function (data) {
+  if (!this.maxBytes) {
+    return 0;
+  }
+  try {
+    return Buffer.byteLength(JSON.stringify(data) || '');
+  } catch (e) {
+    return 0;
+  }
+};
+
+Cache.prototype._removeEntry = function (resourcePath) {
+  let entry = this._cache.get(resourcePath);
+  if (entry) {
+    if (entry.timeout) {
+      clearTimeout(entry.timeout);
+    }
+    this._totalBytes -= entry.size;
+    this._cache.delete(resourcePath);
+  }
+  return entry;
+};
+
+// Recompute the size of an entry whose resource was modified in place.
+Cache.prototype._resizeEntry = function (resourcePath) {
+  let entry = this._cache.get(resourcePath);
+  if (!entry) {
+    return;
+  }
+  this._totalBytes -= entry.size;
+  entry.size = this._getEntrySize(entry.resource);
+  this._totalBytes += entry.size;
+  this._evict();
+};
+
+Cache.prototype._isOverLimit = function () {
+  return (this.maxEntries != null && this._cache.size > this.maxEntries) ||
+    (this.maxBytes != null && this._totalBytes > this.maxBytes);
+};
+
+// Evict least recently used entries until the cache is back within its limits.
+// Entries which are still loading are not evicted since other reads are waiting for them.
+Cache.prototype._evict = function () {
+  if (!this._isOverLimit()) {
+    return;
+  }
+  for (let resourcePath of Array.from(this._cache.keys())) {
+    if (!this._isOverLimit()) {
+      break;
+    }
+    let entry = this._cache.get(resourcePath);
+    if (entry.resource && entry.resource.pending) {
+      continue;
+    }
+    this._removeEntry(resourcePath);
+    this._stats.evictions++;
+    this.emit('expire', this._simplifyQuery(entry.query), entry);
+  }
+};
+
 Cache.prototype.set = function (query, data, resourcePath) {
   if (!resourcePath) {
     resourcePath = this._getResourcePath(query);
   }
   let entry = {
-    resource: data
+    resource: data,
+    query: query,
+    size: this._getEntrySize(data)
   };
 
-  let existingCache = this._cache[resourcePath];
-  if (existingCache && existingCache.timeout) {
-    clearTimeout(existingCache.timeout);
-  }
+  this._removeEntry(resourcePath);
 
   entry.timeout = setTimeout(() => {
-    let freshEntry = this._cache[resourcePath] || {};
-    delete this._cache[resourcePath];
+    let freshEntry = this._removeEntry(resourcePath) || {};
     this.emit('expire', this._simplifyQuery(query), freshEntry);
   }, this.cacheDuration);
 
-  this._cache[resourcePath] = entry;
+  this._cache.set(resourcePath, entry);
+  this._totalBytes += entry.size;
+  this._evict();
 };
 
 Cache.prototype.clear = function (query) {
   let resourcePath = this._getResourcePath(query);
 
-  let entry = this._cache[resourcePath];
+  let entry = this._removeEntry(resourcePath);
   if (entry) {
-    if (entry.timeout) {
-      clearTimeout(entry.timeout);
-    }
-    delete this._cache[resourcePath];
     this.emit('clear', this._simplifyQuery(query), entry);
   }
 };
@@ -63,10 +130,29 @@ Cache.prototype.get = function (query, resourcePath) {
   if (!resourcePath) {
     resourcePath = this._getResourcePath(query);
   }
-  let entry = this._cache[resourcePath] || {};
+  let entry = this._cache.get(resourcePath);
+  if (!entry) {
+    return undefined;
+  }
+  // Mark the entry as the most recently used one.
+  this._cache.delete(resourcePath);
+  this._cache.set(resourcePath, entry);
   return entry.resource;
 };
 
+Cache.prototype.getStats = function () {
+  return {
+    size: this._cache.size,
+    bytes: this._totalBytes,
+    maxEntries: this.maxEntries,
+    maxBytes: this.maxBytes,
+    hits: this._stats.hits,
+    misses: this._stats.misses,
+    evictions: this._stats.evictions,
+    pendingLoads: Object.keys(this._watchers).length
+  };
+};
+
 Cache.prototype._pushWatcher = function (resourcePath, watcher) {
   if (!this._watchers[resourcePath]) {
     this._watchers[resourcePath] = [];
@@ -107,11 +193,13 @@ Cache.prototype.pass = function (query, provider, callback) {
   this._pushWatcher(resourcePath, callback);
 
   if (cacheEntry) {
+    this._stats.hits++;
     this.emit('hit', query, cacheEntry);
     if (!cacheEntry.pending) {
       this._processCacheWatchers(resourcePath, null, cacheEntry.resource);
     }
   } else {
+    this._stats.misses++;
     this.emit('miss', query);
     cacheEntry = {
       pending: true,
@@ -123,7 +211,7 @@ Cache.prototype.pass = function (query, provider, callback) {
 
     provider((err, data) => {
       if (!err) {
-        let freshCacheEntry = this._cache[resourcePath];
+        let freshCacheEntry = this.get(query, resourcePath);
 
         if (freshCacheEntry) {
           let cacheEntryPatch = freshCacheEntry.patch || {};
@@ -138,6 +226,10 @@ Cache.prototype.pass = function (query, provider, callback) {
 
         this.set(query, newCacheEntry, resourcePath);
         this.emit('set', this._simplifyQuery(query), newCacheEntry);
+      } else {
+        // Do not leave a pending entry behind - Otherwise, later reads would wait for it until it expires.
+        // The clear event lets listeners release what they hold for the entry (e.g. channel subscriptions).
+        this.clear(query);
       }
       this._processCacheWatchers(resourcePath, err, data);
     });
@@ -176,6 +268,7 @@ Cache.prototype.update = function (resourceChannelString, data) {
           oldValue = cacheEntry.resource[field];
           cacheEntry.resource[field] = data.value;
         }
+        this._resizeEntry(resourcePath);
         this.emit('update', query, cacheEntry, {
           oldValue: oldValue,
           newValue: data.value
@@ -0,0 +1,41 @@
+// Cursors are opaque to clients; they encode the position of a document
+// within a view as a pair made up of the view's orderKey value and the document id.
+
+let serializeValue = function (value) {
+  if (value instanceof Date) {
+    return {$date: value.toISOString()};
+  }
+  return value === undefined ? null : value;
+};
+
+let deserializeValue = function (value) {
+  if (value && typeof value === 'object' && typeof value.$date === 'string') {
+    return new Date(value.$date);
+  }
+  return value;
+};
+
+module.exports.encodeCursor = function (resource, orderKey) {
+  let cursorData = [serializeValue(resource[orderKey]), resource.id];
+  return Buffer.from(JSON.stringify(cursorData)).toString('base64');
+};
+
+// Returns null if the cursor is malformed.
+module.exports.decodeCursor = function (cursor) {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+  let cursorData;
+  try {
+    cursorData = JSON.parse(Buffer.from(cursor, 'base64').toString());
+  } catch (e) {
+    return null;
+  }
+  if (!Array.isArray(cursorData) || cursorData.length !== 2 || typeof cursorData[1] !== 'string') {
+    return null;
+  }
+  return {
+    value: deserializeValue(cursorData[0]),
+    id: cursorData[1]
+  };
+};
@@ -0,0 +1,114 @@
+// Errors which sc-crud-rethink passes to callbacks, promises, middleware and warning events.
+// Each error type has a stable code which clients can use to tell errors apart and a details
+// object which describes what the error relates to (e.g. type, id, field, view, missingParams, phase).
+// The names of the errors are the same as before they had their own types.
+
+let defineError = function (name, code, ParentError) {
+  let ErrorType = function (message, details) {
+    this.name = name;
+    this.code = code;
+    this.message = message;
+    this.details = details || {};
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, ErrorType);
+    } else {
+      this.stack = (new Error(message)).stack;
+    }
+  };
+  ErrorType.prototype = Object.create((ParentError || Error).prototype);
+  ErrorType.prototype.constructor = ErrorType;
+  // So that inspected errors and stack traces show the name of the error type.
+  Object.defineProperty(ErrorType, 'name', {value: name});
+  ErrorType.code = code;
+  return ErrorType;
+};
+
+let CRUDError = defineError('CRUDError', 'CRUD_ERROR');
+
+let errorTypes = {
+  CRUDError: CRUDError,
+  CRUDConfigError: defineError('CRUDConfigError', 'INVALID_CONFIG', CRUDError),
+  InvalidArgumentsError: defineError('InvalidArgumentsError', 'INVALID_ARGUMENTS', CRUDError),
+  CRUDInvalidModelType: defineError('CRUDInvalidModelType', 'INVALID_MODEL_TYPE', CRUDError),
+  CRUDInvalidParams: defineError('CRUDInvalidParams', 'INVALID_PARAMS', CRUDError),
+  CRUDInvalidOperation: defineError('CRUDInvalidOperation', 'INVALID_OPERATION', CRUDError),
+  CRUDBlockedError: defineError('CRUDBlockedError', 'BLOCKED', CRUDError),
+  CRUDPublishNotAllowedError: defineError('CRUDPublishNotAllowedError', 'PUBLISH_NOT_ALLOWED', CRUDError),
+  CRUDRateLimitedError: defineError('CRUDRateLimitedError', 'RATE_LIMITED', CRUDError),
+  CRUDResourceNotFoundError: defineError('CRUDResourceNotFoundError', 'RESOURCE_NOT_FOUND', CRUDError),
+  CRUDResourceDeletedError: defineError('CRUDResourceDeletedError', 'RESOURCE_DELETED', CRUDError),
+  CRUDResourceExistsError: defineError('CRUDResourceExistsError', 'RESOURCE_EXISTS', CRUDError),
+  CRUDConflictError: defineError('CRUDConflictError', 'CONFLICT', CRUDError),
+  CRUDValidationError: defineError('CRUDValidationError', 'VALIDATION_FAILED', CRUDError),
+  CRUDDeleteRestrictedError: defineError('CRUDDeleteRestrictedError', 'DELETE_RESTRICTED', CRUDError),
+  CRUDBatchError: defineError('CRUDBatchError', 'BATCH_FAILED', CRUDError),
+  // Failures of the database or of background tasks - Their messages do not include database internals.
+  CRUDDatabaseError: defineError('CRUDDatabaseError', 'DATABASE_ERROR', CRUDError),
+  FailedToSubscribeToResourceChannel: defineError('FailedToSubscribeToResourceChannel', 'SUBSCRIBE_FAILED', CRUDError),
+  CRUDChangefeedError: defineError('CRUDChangefeedError', 'CHANGEFEED_FAILED', CRUDError),
+  CRUDAuditError: defineError('CRUDAuditError', 'AUDIT_FAILED', CRUDError),
+  CRUDHookError: defineError('CRUDHookError', 'HOOK_FAILED', CRUDError),
+  CRUDRevertError: defineError('CRUDRevertError', 'REVERT_FAILED', CRUDError),
+  CRUDPurgeError: defineError('CRUDPurgeError', 'PURGE_FAILED', CRUDError)
+};
+
+let CRUDInvalidQuery = defineError('CRUDInvalidQuery', 'INVALID_QUERY', CRUDError);
+errorTypes.CRUDInvalidQuery = CRUDInvalidQuery;
+errorTypes.CRUDInvalidView = defineError('CRUDInvalidView', 'INVALID_VIEW', CRUDInvalidQuery);
+errorTypes.CRUDMissingViewParams = defineError('CRUDMissingViewParams', 'MISSING_VIEW_PARAMS', CRUDInvalidQuery);
+errorTypes.CRUDInvalidCursor = defineError('CRUDInvalidCursor', 'INVALID_CURSOR', CRUDInvalidQuery);
+
+// Get the details of an error which relates to the given query.
+let getQueryDetails = function (query, extraDetails) {
+  let details = {};
+  if (query && typeof query === 'object') {
+    ['type', 'id', 'field', 'view'].forEach((property) => {
+      if (query[property] != null) {
+        details[property] = query[property];
+      }
+    });
+  }
+  return Object.assign(details, extraDetails);
+};
+
+let isCRUDError = function (error) {
+  return error instanceof CRUDError;
+};
+
+// Convert an error into a plain object which can be sent to clients. CRUD errors keep their
+// public properties (along with the errors which they list). Other errors may come from the database
+// or from the internals of a filter or hook so they are replaced with a generic CRUDDatabaseError.
+let serializeError = function (error) {
+  if (error == null || typeof error !== 'object') {
+    return error;
+  }
+  if (!isCRUDError(error)) {
+    error = new errorTypes.CRUDDatabaseError('The operation failed because of an internal error');
+  }
+  let serializedError = {};
+  Object.keys(error).forEach((property) => {
+    if (property === 'stack') {
+      return;
+    }
+    let value = error[property];
+    if (property === 'errors' && value && typeof value === 'object') {
+      // The errors of the operations of a batch or of the ids of a bulk read.
+      let serializedErrors = Array.isArray(value) ? [] : {};
+      Object.keys(value).forEach((key) => {
+        serializedErrors[key] = serializeError(value[key]);
+      });
+      value = serializedErrors;
+    }
+    serializedError[property] = value;
+  });
+  serializedError.name = error.name;
+  serializedError.message = error.message;
+  return serializedError;
+};
+
+Object.keys(errorTypes).forEach((errorName) => {
+  module.exports[errorName] = errorTypes[errorName];
+});
+module.exports.getQueryDetails = getQueryDetails;
+module.exports.isCRUDError = isCRUDError;
+module.exports.serializeError = serializeError;
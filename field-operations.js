@@ -0,0 +1,84 @@
+const jsonStableStringify = require('json-stable-stringify');
+
+// Atomic operators which can be used in update queries which have a field, e.g.
+// {type: 'Product', id: '...', field: 'stock', op: 'dec', value: 1}. Storage adapters apply them
+// inside the database so that concurrent updates of the same field do not overwrite each other.
+// A missing (or null) field counts as 0 for inc and dec and as an empty list for push, addToSet and pull.
+
+let isEqual = function (valueA, valueB) {
+  return jsonStableStringify(valueA) === jsonStableStringify(valueB);
+};
+
+let getList = function (currentValue) {
+  return currentValue == null ? [] : currentValue;
+};
+
+let operations = {
+  inc: (currentValue, value) => {
+    return (currentValue == null ? 0 : currentValue) + value;
+  },
+  dec: (currentValue, value) => {
+    return (currentValue == null ? 0 : currentValue) - value;
+  },
+  push: (currentValue, value) => {
+    return getList(currentValue).concat([value]);
+  },
+  addToSet: (currentValue, value) => {
+    let list = getList(currentValue);
+    let hasValue = list.some((item) => {
+      return isEqual(item, value);
+    });
+    return hasValue ? list.slice() : list.concat([value]);
+  },
+  pull: (currentValue, value) => {
+    return getList(currentValue).filter((item) => {
+      return !isEqual(item, value);
+    });
+  },
+  setIfAbsent: (currentValue, value) => {
+    return currentValue == null ? value : currentValue;
+  }
+};
+
+let numericOperations = {
+  inc: true,
+  dec: true
+};
+
+let listOperations = {
+  push: true,
+  addToSet: true,
+  pull: true
+};
+
+module.exports.operationNames = Object.keys(operations);
+
+// A missing field is equal to a null one.
+module.exports.isValueEqual = function (valueA, valueB) {
+  return isEqual(valueA == null ? null : valueA, valueB == null ? null : valueB);
+};
+
+module.exports.isOperation = function (operation) {
+  return operations.hasOwnProperty(operation);
+};
+
+// Get a message which explains why the operation cannot be applied to the current value
+// of the field or null if it can be applied.
+module.exports.getOperationError = function (operation, field, currentValue, value) {
+  if (numericOperations[operation]) {
+    if (typeof value !== 'number') {
+      return `The ${operation} operation requires a number value`;
+    }
+    if (currentValue != null && typeof currentValue !== 'number') {
+      return `The ${operation} operation cannot be applied to the ${field} field - It is not a number`;
+    }
+  }
+  if (listOperations[operation] && currentValue != null && !Array.isArray(currentValue)) {
+    return `The ${operation} operation cannot be applied to the ${field} field - It is not a list`;
+  }
+  return null;
+};
+
+module.exports.applyOperation = function (operation, currentValue, value) {
+  return operations[operation](currentValue, value);
+};
@@ -0,0 +1,131 @@
+// A field in schema[type].fields can be declared either directly as a thinky type
+// (e.g. type.string()) or as a metadata object which wraps the thinky type and adds
+// sc-crud-rethink specific properties. Metadata objects must be created with the field
+// function, e.g. field({type: type.string(), access: {read: fn}}) - Plain objects are always
+// treated as thinky schemas (thinky accepts nested objects and {_type: ...} declarations).
+
+const fieldMetadataMarker = Symbol('sc-crud-rethink field metadata');
+
+let fieldMetadataKeys = {
+  type: true,
+  access: true,
+  validate: true
+};
+
+module.exports.field = function (metadata) {
+  Object.keys(metadata || {}).forEach((key) => {
+    if (!fieldMetadataKeys[key]) {
+      throw new Error(`The ${key} property is not supported in field metadata - Expected type, access or validate`);
+    }
+  });
+  let fieldMetadata = Object.assign({}, metadata);
+  fieldMetadata[fieldMetadataMarker] = true;
+  return fieldMetadata;
+};
+
+let isFieldMetadata = function (fieldDeclaration) {
+  return fieldDeclaration != null && typeof fieldDeclaration === 'object' && fieldDeclaration[fieldMetadataMarker] === true;
+};
+
+module.exports.isFieldMetadata = isFieldMetadata;
+
+// Get the thinky type of a field declaration.
+let getFieldType = function (fieldDeclaration) {
+  if (isFieldMetadata(fieldDeclaration)) {
+    return fieldDeclaration.type;
+  }
+  return fieldDeclaration;
+};
+
+module.exports.getFieldType = getFieldType;
+
+// Get the declaration of a computed field or null if the field is not computed.
+let getComputedField = function (schema, type, field) {
+  let modelSchema = schema[type] || {};
+  let computedFields = modelSchema.computedFields || {};
+  if (!computedFields.hasOwnProperty(field)) {
+    return null;
+  }
+  return computedFields[field];
+};
+
+module.exports.getComputedField = getComputedField;
+
+// Get the sc-crud-rethink metadata of a field - Fields which are declared
+// directly as a thinky type have no metadata. Computed fields can declare
+// their own access rules.
+module.exports.getFieldMetadata = function (schema, type, field) {
+  let modelSchema = schema[type] || {};
+  let fields = modelSchema.fields || {};
+  if (!fields.hasOwnProperty(field)) {
+    let computedField = getComputedField(schema, type, field);
+    if (computedField && computedField.access) {
+      return {access: computedField.access};
+    }
+    return {};
+  }
+  let fieldDeclaration = fields[field];
+  if (isFieldMetadata(fieldDeclaration)) {
+    return fieldDeclaration;
+  }
+  return {};
+};
+
+// Convert schema fields into a schema which thinky understands.
+module.exports.getThinkyFields = function (fields) {
+  if (!fields) {
+    return fields;
+  }
+  let thinkyFields = {};
+  Object.keys(fields).forEach((field) => {
+    let fieldType = getFieldType(fields[field]);
+    // Fields which only declare metadata are not checked by thinky.
+    if (fieldType !== undefined) {
+      thinkyFields[field] = fieldType;
+    }
+  });
+  return thinkyFields;
+};
+
+let createFieldError = function (field, result) {
+  if (typeof result === 'string') {
+    return {code: 'invalid', message: result};
+  }
+  if (result && typeof result === 'object') {
+    return {
+      code: result.code || 'invalid',
+      message: result.message || `The ${field} field is invalid`
+    };
+  }
+  return {code: 'invalid', message: `The ${field} field is invalid`};
+};
+
+// Run the custom validate(value, resource, authToken) functions which are declared on the
+// given fields. A validate function returns nothing (or true) if the value is valid; otherwise,
+// it returns false, an error message or a {code, message} object. A validate function which throws
+// makes its field invalid; the exception is passed to onError.
+// Returns a map of the form {field: {code, message}} or null if all the fields are valid.
+module.exports.getFieldErrors = function (schema, type, fields, resource, authToken, onError) {
+  let fieldErrors = null;
+  fields.forEach((field) => {
+    let validate = module.exports.getFieldMetadata(schema, type, field).validate;
+    if (!validate) {
+      return;
+    }
+    let result;
+    try {
+      result = validate(resource[field], resource, authToken);
+    } catch (err) {
+      onError && onError(err);
+      result = {code: 'validationFailed', message: `The ${field} field could not be validated`};
+    }
+    if (result === undefined || result === true) {
+      return;
+    }
+    if (!fieldErrors) {
+      fieldErrors = {};
+    }
+    fieldErrors[field] = createFieldError(field, result);
+  });
+  return fieldErrors;
+};
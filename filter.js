@@ -1,15 +1,21 @@
-const constructTransformedRethinkQuery = require('./query-transformer').constructTransformedRethinkQuery;
 const parseChannelResourceQuery = require('./channel-resource-parser').parseChannelResourceQuery;
+const async = require('async');
+const getFieldMetadata = require('./field-schema').getFieldMetadata;
+const getComputedField = require('./field-schema').getComputedField;
+const errors = require('./errors');
+const softDelete = require('./soft-delete');
 
 let Filter = function (scServer, options) {
   // Setup SocketCluster middleware for access control and filtering
 
   this.options = options || {};
   this.schema = this.options.schema || {};
-  this.thinky = this.options.thinky;
+  this.adapter = this.options.adapter;
   this.cache = this.options.cache;
   this.scServer = scServer;
   this.logger = this.options.logger;
+  this.metrics = this.options.metrics;
+  this.rateLimiter = this.options.rateLimiter;
 
   this._getModelFilter = (modelType, filterPhase) => {
     let modelSchema = this.schema[modelType];
@@ -24,40 +30,84 @@ let Filter = function (scServer, options) {
   };
 
   scServer.addMiddleware(scServer.MIDDLEWARE_EMIT, (req, next) => {
-    if (req.event === 'create' || req.event === 'read' || req.event === 'update' || req.event === 'delete') {
+    let rateLimitError = this._applyEmitRateLimits(req);
+    if (rateLimitError) {
+      next(rateLimitError);
+      return;
+    }
+    if (req.event === 'read' && req.data && Array.isArray(req.data.ids)) {
+      this._applyBulkReadPreFilter(req, next);
+    } else if (req.event === 'upsert') {
+      // The pre filter of an upsert is called once it is known whether it creates or updates the document.
+      next();
+    } else if (req.event === 'create' || req.event === 'read' || req.event === 'update' || req.event === 'delete' || req.event === 'restore') {
       // If socket has a valid auth token, then allow emitting get or set events
-      let authToken = req.socket.authToken;
+      let preRequest = {
+        socket: req.socket,
+        action: req.event,
+        query: req.data
+      };
+      this.applyPreFilter(preRequest, next);
+    } else if (req.event === 'batch') {
+      // Each operation within a batch goes through the pre filter of its own model.
+      // The batch is blocked as a whole if any one of its operations is blocked.
+      let operations = Array.isArray(req.data) ? req.data : [];
+      if (operations.length > this.options.maxBatchOperations) {
+        next(new errors.CRUDInvalidParams(`Invalid batch - A batch cannot have more than ${this.options.maxBatchOperations} operations`));
+        return;
+      }
+      let operationErrors = [];
+      let hasErrors = false;
 
-      let preFilter = this._getModelFilter(req.data.type, 'pre');
-      if (preFilter) {
-        let crudRequest = {
-          r: this.thinky.r,
+      async.eachOfSeries(operations, (operation, index, cb) => {
+        operation = operation || {};
+        if (operation.action === 'upsert') {
+          operationErrors[index] = null;
+          cb();
+          return;
+        }
+        let preRequest = {
           socket: req.socket,
-          action: req.event,
-          authToken: authToken,
-          query: req.data
+          action: operation.action,
+          query: operation.query || {}
         };
-        preFilter(crudRequest, (err) => {
+        this.applyPreFilter(preRequest, (err) => {
+          operationErrors[index] = err || null;
           if (err) {
-            if (typeof err === 'boolean') {
-              err = new Error('You are not permitted to perform a CRUD operation on the ' + req.data.type + ' resource with ID ' + req.data.id);
-              err.name = 'CRUDBlockedError';
-              err.type = 'pre';
-            }
-            next(err);
-          } else {
-            next();
+            hasErrors = true;
           }
+          cb();
         });
-      } else {
-        if (this.options.blockPreByDefault) {
-          let crudBlockedError = new Error('You are not permitted to perform a CRUD operation on the ' + req.data.type + ' resource with ID ' + req.data.id + ' - No filters found');
-          crudBlockedError.name = 'CRUDBlockedError';
-          crudBlockedError.type = 'pre';
-          next(crudBlockedError);
+      }, () => {
+        if (hasErrors) {
+          let error = new errors.CRUDBlockedError('You are not permitted to perform one or more of the operations in the batch', {
+            phase: 'pre'
+          });
+          error.type = 'pre';
+          error.errors = operationErrors;
+          next(error);
         } else {
           next();
         }
+      });
+    } else if (req.event === 'history') {
+      // The change history of a resource may contain sensitive data so it is
+      // only available to sockets which are explicitly allowed by a pre filter.
+      let query = req.data || {};
+      if (this._getModelFilter(query.type, 'pre')) {
+        let preRequest = {
+          socket: req.socket,
+          action: 'history',
+          query: query
+        };
+        this.applyPreFilter(preRequest, next);
+      } else {
+        let crudBlockedError = new errors.CRUDBlockedError('You are not permitted to read the history of the ' + query.type + ' resource with ID ' + query.id + ' - No filters found', errors.getQueryDetails(query, {
+          phase: 'pre'
+        }));
+        crudBlockedError.type = 'pre';
+        this._recordRejection('pre', query);
+        next(crudBlockedError);
       }
     } else {
       // This module is only responsible for CRUD-related filtering.
@@ -69,8 +119,7 @@ let Filter = function (scServer, options) {
     let channelResourceQuery = parseChannelResourceQuery(req.channel);
     if (channelResourceQuery) {
       // Always block CRUD publish from outside clients.
-      let crudPublishNotAllowedError = new Error('Cannot publish to a CRUD resource channel');
-      crudPublishNotAllowedError.name = 'CRUDPublishNotAllowedError';
+      let crudPublishNotAllowedError = new errors.CRUDPublishNotAllowedError('Cannot publish to a CRUD resource channel', errors.getQueryDetails(channelResourceQuery));
       next(crudPublishNotAllowedError);
     } else {
       next();
@@ -84,6 +133,15 @@ let Filter = function (scServer, options) {
       next();
       return;
     }
+    let rateLimitError = this._applyRateLimits({
+      socket: req.socket,
+      action: 'subscribe',
+      query: channelResourceQuery
+    });
+    if (rateLimitError) {
+      next(rateLimitError);
+      return;
+    }
     // Sometimes the real viewParams may be different from what can be parsed from
     // the channel name; this is because some view params don't affect the real-time
     // delivery of messages but they may still be useful in constructing the view.
@@ -98,13 +156,26 @@ let Filter = function (scServer, options) {
         query: channelResourceQuery,
         fetchResource: true
       };
-      this.applyPostFilter(subscribePostRequest, next);
+      this.applyPostFilter(subscribePostRequest, (err) => {
+        if (err || channelResourceQuery.field == null) {
+          next(err);
+          return;
+        }
+        let subscribeFieldRequest = {
+          socket: req.socket,
+          access: 'read',
+          query: channelResourceQuery,
+          fields: [channelResourceQuery.field],
+          fetchResource: true
+        };
+        this.applyFieldFilter(subscribeFieldRequest, next);
+      });
     };
 
     let preFilter = this._getModelFilter(channelResourceQuery.type, 'pre');
     if (preFilter) {
       let subscribePreRequest = {
-        r: this.thinky.r,
+        r: this.adapter.r,
         socket: req.socket,
         action: 'subscribe',
         authToken: authToken,
@@ -113,10 +184,12 @@ let Filter = function (scServer, options) {
       preFilter(subscribePreRequest, (err) => {
         if (err) {
           if (typeof err === 'boolean') {
-            err = new Error('Cannot subscribe to ' + req.channel + ' channel');
-            err.name = 'CRUDBlockedError';
+            err = new errors.CRUDBlockedError('Cannot subscribe to ' + req.channel + ' channel', errors.getQueryDetails(channelResourceQuery, {
+              phase: 'pre'
+            }));
             err.type = 'pre';
           }
+          this._recordRejection('pre', channelResourceQuery);
           next(err);
         } else {
           continueWithPostFilter();
@@ -124,9 +197,11 @@ let Filter = function (scServer, options) {
       });
     } else {
       if (this.options.blockPreByDefault) {
-        let crudBlockedError = new Error('Cannot subscribe to ' + req.channel + ' channel - No filters found');
-        crudBlockedError.name = 'CRUDBlockedError';
+        let crudBlockedError = new errors.CRUDBlockedError('Cannot subscribe to ' + req.channel + ' channel - No filters found', errors.getQueryDetails(channelResourceQuery, {
+          phase: 'pre'
+        }));
         crudBlockedError.type = 'pre';
+        this._recordRejection('pre', channelResourceQuery);
         next(crudBlockedError);
       } else {
         continueWithPostFilter();
@@ -135,13 +210,142 @@ let Filter = function (scServer, options) {
   });
 };
 
+Filter.prototype._recordRejection = function (phase, query) {
+  if (this.metrics) {
+    this.metrics.recordFilterRejection(phase, query && query.type);
+  }
+};
+
+Filter.prototype._applyRateLimits = function (req) {
+  if (!this.rateLimiter) {
+    return null;
+  }
+  let rateLimitError = this.rateLimiter.consume(req);
+  if (rateLimitError) {
+    this._recordRejection('rateLimit', req.query);
+  }
+  return rateLimitError;
+};
+
+// Each operation within a batch counts as a separate request. The tokens of a batch are taken
+// as a whole so a batch which is rejected does not use up any tokens.
+Filter.prototype._applyEmitRateLimits = function (req) {
+  if (req.event === 'batch') {
+    if (!this.rateLimiter) {
+      return null;
+    }
+    let operations = Array.isArray(req.data) ? req.data : [];
+    let rateLimitRequests = operations.map((operation) => {
+      operation = operation || {};
+      return {
+        socket: req.socket,
+        action: operation.action,
+        query: operation.query || {}
+      };
+    });
+    let rateLimitError = this.rateLimiter.consumeAll(rateLimitRequests);
+    if (rateLimitError) {
+      this._recordRejection('rateLimit', rateLimitError.details);
+    }
+    return rateLimitError;
+  }
+  if (req.event === 'create' || req.event === 'read' || req.event === 'update' || req.event === 'delete' || req.event === 'restore' || req.event === 'upsert' || req.event === 'history') {
+    return this._applyRateLimits({
+      socket: req.socket,
+      action: req.event,
+      query: req.data || {}
+    });
+  }
+  return null;
+};
+
+Filter.prototype.applyPreFilter = function (req, next) {
+  let query = req.query;
+  let preFilter = this._getModelFilter(query.type, 'pre');
+
+  if (preFilter) {
+    let request = {
+      r: this.adapter.r,
+      socket: req.socket,
+      action: req.action,
+      authToken: req.socket && req.socket.authToken,
+      query: query
+    };
+    preFilter(request, (err) => {
+      if (err) {
+        if (typeof err === 'boolean') {
+          err = new errors.CRUDBlockedError('You are not permitted to perform a CRUD operation on the ' + query.type + ' resource with ID ' + query.id, errors.getQueryDetails(query, {
+            phase: 'pre'
+          }));
+          err.type = 'pre';
+        }
+        this._recordRejection('pre', query);
+        next(err);
+      } else {
+        next();
+      }
+    });
+  } else {
+    if (this.options.blockPreByDefault) {
+      let crudBlockedError = new errors.CRUDBlockedError('You are not permitted to perform a CRUD operation on the ' + query.type + ' resource with ID ' + query.id + ' - No filters found', errors.getQueryDetails(query, {
+        phase: 'pre'
+      }));
+      crudBlockedError.type = 'pre';
+      this._recordRejection('pre', query);
+      next(crudBlockedError);
+    } else {
+      next();
+    }
+  }
+};
+
+// Each id of a bulk read goes through the pre filter as a separate single document query
+// so that filters which check query.id apply to it. The read is blocked as a whole if any one
+// of its ids is blocked.
+Filter.prototype._applyBulkReadPreFilter = function (req, next) {
+  let query = req.data;
+  if (query.ids.length > this.options.maxBulkReadIds) {
+    next(new errors.CRUDInvalidQuery(`Invalid bulk query - The ids property cannot have more than ${this.options.maxBulkReadIds} ids`, errors.getQueryDetails(query)));
+    return;
+  }
+  let idErrors = {};
+  let hasErrors = false;
+
+  async.eachSeries(query.ids, (id, cb) => {
+    let resourceQuery = Object.assign({}, query, {id: id});
+    delete resourceQuery.ids;
+    this.applyPreFilter({
+      socket: req.socket,
+      action: 'read',
+      query: resourceQuery
+    }, (err) => {
+      if (err) {
+        idErrors[id] = err;
+        hasErrors = true;
+      }
+      cb();
+    });
+  }, () => {
+    if (hasErrors) {
+      let error = new errors.CRUDBlockedError(`You are not permitted to read one or more of the ${query.type} resources`, errors.getQueryDetails(query, {
+        phase: 'pre'
+      }));
+      error.type = 'pre';
+      error.errors = idErrors;
+      next(error);
+    } else {
+      next();
+    }
+  });
+};
+
 Filter.prototype.applyPostFilter = function (req, next) {
   let query = req.query;
   let postFilter = this._getModelFilter(query.type, 'post');
 
   if (postFilter) {
     let request = {
-      r: this.thinky.r,
+      r: this.adapter.r,
       socket: req.socket,
       action: req.action,
       authToken: req.socket && req.socket.authToken,
@@ -155,10 +359,12 @@ Filter.prototype.applyPostFilter = function (req, next) {
       postFilter(request, (err) => {
         if (err) {
           if (typeof err === 'boolean') {
-            err = new Error('You are not permitted to perform a CRUD operation on the ' + query.type + ' resource with ID ' + query.id);
-            err.name = 'CRUDBlockedError';
+            err = new errors.CRUDBlockedError('You are not permitted to perform a CRUD operation on the ' + query.type + ' resource with ID ' + query.id, errors.getQueryDetails(query, {
+              phase: 'post'
+            }));
             err.type = 'post';
           }
+          this._recordRejection('post', query);
           next(err);
         } else {
           next();
@@ -168,19 +374,19 @@ Filter.prototype.applyPostFilter = function (req, next) {
 
     if (req.fetchResource) {
       let pageSize = query.pageSize || this.options.defaultPageSize;
-      let ModelClass = this.options.models[query.type];
 
-      if (!ModelClass) {
-        let error = new Error('The ' + query.type + ' model type is not supported - It is not part of the schema');
-        error.name = 'CRUDInvalidModelType';
+      if (!this.schema[query.type]) {
+        let error = new errors.CRUDInvalidModelType('The ' + query.type + ' model type is not supported - It is not part of the schema', errors.getQueryDetails(query));
         next(error);
         return;
       }
 
       let queryResponseHandler = (err, resource) => {
-        if (err) {
+        if (errors.isCRUDError(err)) {
+          next(err);
+        } else if (err) {
           this.logger.error(err);
-          next(new Error('Executed an invalid query transformation'));
+          next(new errors.CRUDDatabaseError('Executed an invalid query transformation', errors.getQueryDetails(query)));
         } else {
           request.resource = resource;
           continueWithPostFilter();
@@ -188,19 +394,18 @@ Filter.prototype.applyPostFilter = function (req, next) {
       };
 
       if (query.id) {
-        let dataProvider = (cb) => {
-          ModelClass.get(query.id).run(cb);
-        };
-        this.cache.pass(query, dataProvider, queryResponseHandler);
+        this._fetchResource(query, queryResponseHandler);
+      } else if (this._isAggregateView(query.type, query.view)) {
+        this.adapter.aggregate(query.type, query.view, query.viewParams, queryResponseHandler);
       } else {
         // For collections.
-        let rethinkQuery = constructTransformedRethinkQuery(this.options, ModelClass, query.type, query.view, query.viewParams);
-        if (query.offset) {
-          rethinkQuery = rethinkQuery.slice(query.offset, query.offset + pageSize);
-        } else {
-          rethinkQuery = rethinkQuery.limit(pageSize);
-        }
-        rethinkQuery.run(queryResponseHandler);
+        let pageQuery = {
+          offset: query.offset,
+          after: query.after,
+          before: query.before,
+          limit: pageSize
+        };
+        this.adapter.viewQuery(query.type, query.view, query.viewParams, pageQuery, queryResponseHandler);
       }
 
     } else {
@@ -208,13 +413,126 @@ Filter.prototype.applyPostFilter = function (req, next) {
     }
   } else {
     if (this.options.blockPostByDefault) {
-      let crudBlockedError = new Error('You are not permitted to perform a CRUD operation on the ' + query.type + ' resource with ID ' + query.id + ' - No filters found');
-      crudBlockedError.name = 'CRUDBlockedError';
+      let crudBlockedError = new errors.CRUDBlockedError('You are not permitted to perform a CRUD operation on the ' + query.type + ' resource with ID ' + query.id + ' - No filters found', errors.getQueryDetails(query, {
+        phase: 'post'
+      }));
       crudBlockedError.type = 'post';
+      this._recordRejection('post', query);
+      next(crudBlockedError);
+    } else {
+      next();
+    }
+  }
+};
+
+// Get the document of a query through the cache - Soft-deleted documents are treated as absent.
+Filter.prototype._fetchResource = function (query, callback) {
+  let dataProvider = (cb) => {
+    this.adapter.get(query.type, query.id, (err, resource) => {
+      if (!err && softDelete.isSoftDeleteEnabled(this.schema, query.type) && softDelete.isDeleted(resource)) {
+        cb(new errors.CRUDResourceDeletedError(`The ${query.type} resource with ID ${query.id} has been deleted`, errors.getQueryDetails(query)));
+        return;
+      }
+      cb(err, resource);
+    });
+  };
+  this.cache.pass(query, dataProvider, callback);
+};
+
+Filter.prototype._isAggregateView = function (type, viewName) {
+  let views = this.schema[type].views || {};
+  return !!(views[viewName] && views[viewName].aggregate);
+};
+
+// Get the fields whose access rules apply to the given field - A computed field
+// cannot be read unless all the source fields which it depends on can be read.
+Filter.prototype._getAccessRuleFields = function (type, field, access) {
+  let computedField = getComputedField(this.schema, type, field);
+  if (!computedField || access !== 'read') {
+    return [field];
+  }
+  return [field].concat(computedField.dependsOn || []);
+};
+
+Filter.prototype._hasFieldAccessRules = function (type, fields, access) {
+  return fields.some((field) => {
+    return this._getAccessRuleFields(type, field, access).some((ruleField) => {
+      return !!getFieldMetadata(this.schema, type, ruleField).access;
+    });
+  });
+};
+
+Filter.prototype._isFieldBlocked = function (type, field, access, authToken, resource) {
+  let fieldAccess = getFieldMetadata(this.schema, type, field).access || {};
+  let accessRule = fieldAccess[access];
+  if (accessRule === undefined) {
+    return false;
+  }
+  if (typeof accessRule === 'function') {
+    try {
+      return !accessRule(authToken, resource);
+    } catch (err) {
+      // Fields whose access rule fails are blocked.
+      this.logger.error(err);
+      return true;
+    }
+  }
+  return !accessRule;
+};
+
+// Get the fields which the socket is not allowed to read or write (based on req.access)
+// according to the access rules declared on each field in the schema.
+Filter.prototype.getBlockedFields = function (req) {
+  let authToken = req.socket && req.socket.authToken;
+  let type = req.query.type;
+
+  return req.fields.filter((field) => {
+    return this._getAccessRuleFields(type, field, req.access).some((ruleField) => {
+      return this._isFieldBlocked(type, ruleField, req.access, authToken, req.resource);
+    });
+  });
+};
+
+Filter.prototype.applyFieldFilter = function (req, next) {
+  let query = req.query;
+
+  let checkFields = (resource) => {
+    let blockedFields = this.getBlockedFields({
+      socket: req.socket,
+      access: req.access,
+      query: query,
+      resource: resource,
+      fields: req.fields
+    });
+    if (blockedFields.length) {
+      let crudBlockedError = new errors.CRUDBlockedError(`You are not permitted to ${req.access} the following fields of the ${query.type} resource with ID ${query.id}: ${blockedFields.join(', ')}`, errors.getQueryDetails(query, {
+        phase: 'field',
+        fields: blockedFields
+      }));
+      crudBlockedError.type = 'field';
+      crudBlockedError.fields = blockedFields;
+      this._recordRejection('field', query);
       next(crudBlockedError);
     } else {
       next();
     }
+  };
+
+  if (!this._hasFieldAccessRules(query.type, req.fields, req.access)) {
+    next();
+  } else if (req.fetchResource) {
+    this._fetchResource(query, (err, resource) => {
+      if (errors.isCRUDError(err)) {
+        next(err);
+      } else if (err) {
+        this.logger.error(err);
+        next(new errors.CRUDDatabaseError(`Failed to get resource with id ${query.id} from the database`, errors.getQueryDetails(query)));
+      } else {
+        checkFields(resource);
+      }
+    });
+  } else {
+    checkFields(req.resource);
   }
 };
 
@@ -0,0 +1,10 @@
+const crypto = require('crypto');
+
+// Generate a random (version 4) UUID - The same format which RethinkDB uses for ids.
+module.exports.generateId = function () {
+  let bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  let hex = bytes.toString('hex');
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+};
@@ -2,11 +2,45 @@ const thinky = require('thinky');
 const async = require('async');
 const Filter = require('./filter');
 const Cache = require('./cache');
+const Audit = require('./audit');
+const errors = require('./errors');
+const Metrics = require('./metrics');
+const RateLimiter = require('./rate-limiter');
+const ThinkyAdapter = require('./thinky-adapter');
+const MemoryAdapter = require('./memory-adapter');
 const EventEmitter = require('events').EventEmitter;
 const jsonStableStringify = require('json-stable-stringify');
-const constructTransformedRethinkQuery = require('./query-transformer').constructTransformedRethinkQuery;
+const cursor = require('./cursor');
+const softDelete = require('./soft-delete');
+const fieldOperations = require('./field-operations');
+const getFieldErrors = require('./field-schema').getFieldErrors;
+const getFieldMetadata = require('./field-schema').getFieldMetadata;
+const defineField = require('./field-schema').field;
 const parseChannelResourceQuery = require('./channel-resource-parser').parseChannelResourceQuery;
 
+let aggregateOperations = ['count', 'sum', 'avg', 'min', 'max'];
+let hookNames = ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete', 'beforeRestore', 'afterRestore'];
+let afterHookNames = {
+  create: 'afterCreate',
+  update: 'afterUpdate',
+  delete: 'afterDelete',
+  restore: 'afterRestore'
+};
+
+// If the promises option is enabled, public methods which are called without a callback
+// call themselves again with a callback which settles the returned promise.
+let callWithPromise = function (invoke) {
+  return new Promise((resolve, reject) => {
+    invoke((err, result) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+};
+
 let SCCRUDRethink = function (options) {
   EventEmitter.call(this);
 
@@ -19,23 +53,87 @@ let SCCRUDRethink = function (options) {
     this.options.schema = {};
   }
 
-  this.models = {};
   this.schema = this.options.schema;
-  this.thinky = thinky(this.options.thinkyOptions);
-  this.options.thinky = this.thinky;
   this.logger = this.options.logger;
 
+  // The storage adapter can be overridden; by default, documents are stored in RethinkDB.
+  this.adapter = this.options.adapter || new ThinkyAdapter();
+  this.options.adapter = this.adapter;
+
+  this.audit = new Audit({
+    adapter: this.adapter,
+    tableName: this.options.auditTableName,
+    getSubject: this.options.getAuditSubject,
+    getModifiedResourceFields: this.getModifiedResourceFields.bind(this)
+  });
+
+  // The audit table is not part of the public schema so clients cannot access it directly.
+  let adapterSchema = Object.assign({}, this.schema);
+  let isAuditEnabled = Object.keys(this.schema).some((modelName) => {
+    return !!this.schema[modelName].audit;
+  });
+  if (isAuditEnabled) {
+    if (adapterSchema[this.audit.tableName]) {
+      throw new errors.CRUDConfigError(`The ${this.audit.tableName} audit table name is already used by a model in the schema - Use the auditTableName option to change it`);
+    }
+    adapterSchema[this.audit.tableName] = this.audit.getSchema();
+  }
+  Object.keys(this.schema).forEach((modelName) => {
+    let relations = this.schema[modelName].relations || {};
+    Object.keys(relations).forEach((relationName) => {
+      let onDelete = relations[relationName].onDelete;
+      if (onDelete != null && onDelete !== 'cascade' && onDelete !== 'restrict' && onDelete !== 'nullify') {
+        throw new errors.CRUDConfigError(`The ${relationName} relation of the ${modelName} model has an invalid onDelete rule ${onDelete} - Must be cascade, restrict or nullify`);
+      }
+    });
+    let views = this.schema[modelName].views || {};
+    Object.keys(views).forEach((viewName) => {
+      if (views[viewName].emitPositions && !views[viewName].orderKey) {
+        throw new errors.CRUDConfigError(`The ${viewName} view of the ${modelName} model must have an orderKey to emit positions - Positions are looked up through the order index of the view`);
+      }
+      let aggregate = views[viewName].aggregate;
+      if (aggregate == null) {
+        return;
+      }
+      if (aggregateOperations.indexOf(aggregate.operation) === -1) {
+        throw new errors.CRUDConfigError(`The ${viewName} view of the ${modelName} model has an invalid aggregate operation ${aggregate.operation} - Must be one of ${aggregateOperations.join(', ')}`);
+      }
+      if (aggregate.operation !== 'count' && typeof aggregate.field !== 'string') {
+        throw new errors.CRUDConfigError(`The ${viewName} view of the ${modelName} model must specify the field to ${aggregate.operation}`);
+      }
+    });
+    let hooks = this.schema[modelName].hooks || {};
+    Object.keys(hooks).forEach((hookName) => {
+      if (hookNames.indexOf(hookName) === -1 || typeof hooks[hookName] !== 'function') {
+        throw new errors.CRUDConfigError(`The ${hookName} hook of the ${modelName} model is invalid - Hooks must be functions named ${hookNames.join(', ')}`);
+      }
+    });
+  });
+  this.adapter.init(Object.assign({}, this.options, {schema: adapterSchema}));
+
+  // These are only available when using the default thinky storage adapter.
+  this.thinky = this.adapter.thinky;
+  this.options.thinky = this.thinky;
+  this.models = this.adapter.models || {};
+  this.options.models = this.models;
+
   this.channelPrefix = 'crud>';
 
   if (!this.options.defaultPageSize) {
     this.options.defaultPageSize = 10;
   }
 
-  Object.keys(this.schema).forEach((modelName) => {
-    let modelSchema = this.schema[modelName];
-    this.models[modelName] = this.thinky.createModel(modelName, modelSchema.fields);
-  });
-  this.options.models = this.models;
+  if (!this.options.maxBulkReadIds) {
+    this.options.maxBulkReadIds = 100;
+  }
+
+  if (!this.options.maxBatchOperations) {
+    this.options.maxBatchOperations = 100;
+  }
+
+  if (this.options.promises == null) {
+    this.options.promises = true;
+  }
 
   let cacheDisabled;
   if (this.options.worker) {
@@ -54,19 +152,50 @@ let SCCRUDRethink = function (options) {
 
   this.cache = new Cache({
     cacheDisabled: cacheDisabled,
-    cacheDuration: this.options.cacheDuration
+    cacheDuration: this.options.cacheDuration,
+    maxEntries: this.options.cacheMaxEntries,
+    maxBytes: this.options.cacheMaxBytes
   });
   this.options.cache = this.cache;
 
   this.cache.on('expire', this._cleanupResourceChannel.bind(this));
   this.cache.on('clear', this._cleanupResourceChannel.bind(this));
 
+  this.metrics = new Metrics({
+    prefix: this.options.metricsPrefix,
+    modelTypes: Object.keys(this.schema),
+    durationBuckets: this.options.metricsDurationBuckets,
+    getCacheStats: () => {
+      return this.cache.getStats();
+    }
+  });
+  this.options.metrics = this.metrics;
+
+  ['hit', 'miss', 'set', 'expire', 'clear', 'update'].forEach((event) => {
+    this.cache.on(event, () => {
+      this.metrics.recordCacheEvent(event);
+    });
+  });
+
   this._resourceReadBuffer = {};
 
+  if (this.options.rateLimits) {
+    this.rateLimiter = new RateLimiter({
+      limits: this.options.rateLimits,
+      getSubject: this.audit.getSubject
+    });
+    this.rateLimiter.validate();
+    this.options.rateLimiter = this.rateLimiter;
+  }
+
   if (this.scServer) {
     this.filter = new Filter(this.scServer, this.options);
 
-    this.publish = this.scServer.exchange.publish.bind(this.scServer.exchange);
+    let exchange = this.scServer.exchange;
+    this.publish = (channelName, data) => {
+      this.metrics.recordPublish(this._getChannelKind(channelName));
+      exchange.publish(channelName, data);
+    };
 
     this.scServer.on('_handshake', (socket) => {
       this._attachSocket(socket);
@@ -75,6 +204,28 @@ let SCCRUDRethink = function (options) {
     // If no server is available, publish will be a no-op.
     this.publish = () => {};
   }
+
+  if (!this.options.changefeedRetryDelay) {
+    this.options.changefeedRetryDelay = 5000;
+  }
+
+  this._changefeeds = {};
+  this._changefeedRetryTimeouts = {};
+
+  // The changefeeds are watched by a single worker (the leader by default) - Its notifications
+  // reach the subscribers of every worker through the exchange.
+  let watchChangefeeds = this.options.watchChangefeeds;
+  if (watchChangefeeds == null) {
+    watchChangefeeds = !!this.scServer && this.options.worker.isLeader !== false;
+  }
+
+  if (this.scServer && watchChangefeeds) {
+    Object.keys(this.schema).forEach((modelName) => {
+      if (this.schema[modelName].changefeed) {
+        this._watchModelChanges(modelName);
+      }
+    });
+  }
 };
 
 SCCRUDRethink.prototype = Object.create(EventEmitter.prototype);
@@ -87,6 +238,35 @@ SCCRUDRethink.prototype._getResourcePropertyChannelName = function (resourceProp
   return this.channelPrefix + resourceProperty.type + '/' + resourceProperty.id + '/' + resourceProperty.field;
 };
 
+SCCRUDRethink.prototype._getChannelKind = function (channelName) {
+  if (channelName.indexOf(this.channelPrefix) !== 0) {
+    return 'other';
+  }
+  let resourceString = channelName.slice(this.channelPrefix.length);
+  if (resourceString.indexOf(':') !== -1) {
+    return 'view';
+  }
+  return resourceString.split('/').length > 2 ? 'field' : 'resource';
+};
+
+// Wrap the callback of a CRUD operation so that its outcome and duration are recorded.
+SCCRUDRethink.prototype._measureOperation = function (action, query, callback) {
+  let startTime = Date.now();
+  return (err, result) => {
+    this.metrics.recordOperation(action, query && query.type, err, Date.now() - startTime);
+    callback && callback(err, result);
+  };
+};
+
+SCCRUDRethink.prototype.getMetrics = function () {
+  return this.metrics.getMetrics();
+};
+
+// Get the metrics in the Prometheus text format so that they can be served from the worker.
+SCCRUDRethink.prototype.getPrometheusMetrics = function () {
+  return this.metrics.toPrometheus();
+};
+
 SCCRUDRethink.prototype._cleanupResourceChannel = function (resource) {
   let resourceChannelName = this._getResourceChannelName(resource);
   let resourceChannel = this.scServer.exchange.channel(resourceChannelName);
@@ -94,10 +274,755 @@ SCCRUDRethink.prototype._cleanupResourceChannel = function (resource) {
   resourceChannel.destroy();
 };
 
+// An operation context determines how realtime notifications are delivered
+// for a write operation. By default they are published straight away but
+// a batch will buffer them until all of its operations have succeeded.
+SCCRUDRethink.prototype._createOperationContext = function (options) {
+  options = options || {};
+  let context = {};
+  if (options.deferPublish) {
+    context.pendingMessages = [];
+    context.publish = (channelName, data) => {
+      context.pendingMessages.push({
+        channel: channelName,
+        data: data
+      });
+    };
+  } else {
+    context.publish = (channelName, data) => {
+      this.publish(channelName, data);
+    };
+  }
+  return context;
+};
+
+SCCRUDRethink.prototype._flushOperationContext = function (context) {
+  (context.pendingMessages || []).forEach((message) => {
+    this.publish(message.channel, message.data);
+  });
+  context.pendingMessages = [];
+};
+
+// Errors of write operations are passed to their callback; they are also emitted as
+// warnings unless the emitOperationWarnings option is false.
+SCCRUDRethink.prototype._emitOperationWarning = function (err) {
+  if (this.options.emitOperationWarnings !== false) {
+    this.emit('warning', err);
+  }
+};
+
+SCCRUDRethink.prototype._isChangefeedEnabled = function (type) {
+  let modelSchema = this.schema[type];
+  return !!(modelSchema && modelSchema.changefeed);
+};
+
+// Bridge writes made directly against RethinkDB (outside of sc-crud-rethink) to
+// subscribers by turning each change from the model's changefeed into a notifyUpdate.
+SCCRUDRethink.prototype._watchModelChanges = function (type) {
+  let retry = () => {
+    // The changefeed may have been closed deliberately or a retry may already be scheduled.
+    if (this._changefeeds[type] === null || this._changefeedRetryTimeouts[type]) {
+      return;
+    }
+    let feed = this._changefeeds[type];
+    delete this._changefeeds[type];
+    if (feed) {
+      feed.close();
+    }
+    this._changefeedRetryTimeouts[type] = setTimeout(() => {
+      delete this._changefeedRetryTimeouts[type];
+      this._watchModelChanges(type);
+    }, this.options.changefeedRetryDelay);
+  };
+
+  this._changefeeds[type] = this.adapter.changes(type, (err, change) => {
+    if (err) {
+      let error = new errors.CRUDChangefeedError(`The changefeed for the ${type} model failed - Reconnecting`, {
+        type: type
+      });
+      this.logger.error(err);
+      this.emit('warning', error);
+      retry();
+      return;
+    }
+    // Writes made by sc-crud-rethink itself (in any worker) are already published as part of the CRUD operation.
+    if (change.isOwnWrite || (!change.old_val && !change.new_val)) {
+      return;
+    }
+    this._notifyUpdate({
+      type: type,
+      oldResource: change.old_val,
+      newResource: change.new_val
+    });
+  });
+};
+
+SCCRUDRethink.prototype.closeChangefeeds = function () {
+  Object.keys(this._changefeedRetryTimeouts).forEach((type) => {
+    clearTimeout(this._changefeedRetryTimeouts[type]);
+  });
+  this._changefeedRetryTimeouts = {};
+
+  Object.keys(this.schema).forEach((type) => {
+    let feed = this._changefeeds[type];
+    if (feed) {
+      feed.close();
+    }
+    if (this._isChangefeedEnabled(type)) {
+      this._changefeeds[type] = null;
+    }
+  });
+};
+
 SCCRUDRethink.prototype._handleResourceChange = function (resource) {
   this.cache.clear(resource);
 };
 
+SCCRUDRethink.prototype._getVersionField = function (type) {
+  let modelSchema = this.schema[type];
+  if (!modelSchema || !modelSchema.versioned) {
+    return null;
+  }
+  return modelSchema.versionField || 'version';
+};
+
+SCCRUDRethink.prototype._getWriteOptions = function (query) {
+  let versionField = this._getVersionField(query.type);
+  if (!versionField) {
+    return {};
+  }
+  return {
+    versionField: versionField,
+    expectedVersion: query.expectedVersion
+  };
+};
+
+SCCRUDRethink.prototype._createValidationError = function (query, fieldErrors, message) {
+  let invalidFields = Object.keys(fieldErrors);
+  let error = new errors.CRUDValidationError(message || `Invalid ${query.type} resource - The following fields failed validation: ${invalidFields.join(', ')}`, errors.getQueryDetails(query, {
+    fieldErrors: fieldErrors
+  }));
+  error.fieldErrors = fieldErrors;
+  return error;
+};
+
+// Run the custom validate functions which are declared on the modified fields in the schema.
+SCCRUDRethink.prototype._validateFields = function (query, fields, resource, socket) {
+  let fieldErrors = getFieldErrors(this.schema, query.type, fields, resource, socket && socket.authToken, (err) => {
+    this.logger.error(err);
+  });
+  if (!fieldErrors) {
+    return null;
+  }
+  return this._createValidationError(query, fieldErrors);
+};
+
+// Convert errors from the storage adapter into errors which can be sent to clients.
+SCCRUDRethink.prototype._normalizeWriteError = function (query, err) {
+  if (err && err.name === 'ValidationError') {
+    return this._createValidationError(query, err.fieldErrors || {}, `Invalid ${query.type} resource - ${err.message}`);
+  }
+  if (err && err.name === 'VersionConflictError' && err.field != null) {
+    let currentValue = err.resource || null;
+    let fieldConflictError = new errors.CRUDConflictError(`The ${err.field} field of the ${query.type} resource with ID ${query.id} was modified by someone else while the ${query.op} operation was being validated`, errors.getQueryDetails(query));
+    fieldConflictError.type = query.type;
+    fieldConflictError.id = query.id;
+    fieldConflictError.currentValue = currentValue;
+    return fieldConflictError;
+  }
+  if (err && err.name === 'VersionConflictError') {
+    let versionField = this._getVersionField(query.type);
+    let currentValue = err.resource || null;
+    let currentVersion = currentValue ? currentValue[versionField] : null;
+    let conflictError = new errors.CRUDConflictError(`The ${query.type} resource with ID ${query.id} was modified by someone else - Expected version ${query.expectedVersion} but the current version is ${currentVersion}`, errors.getQueryDetails(query, {
+      expectedVersion: query.expectedVersion,
+      currentVersion: currentVersion
+    }));
+    conflictError.type = query.type;
+    conflictError.id = query.id;
+    conflictError.expectedVersion = query.expectedVersion;
+    conflictError.currentVersion = currentVersion;
+    conflictError.currentValue = currentValue;
+    return conflictError;
+  }
+  if (err && err.name === 'DocumentNotFoundError') {
+    return new errors.CRUDResourceNotFoundError(`The ${query.type} resource with ID ${query.id} was not found`, errors.getQueryDetails(query));
+  }
+  if (err && err.name === 'DuplicatePrimaryKeyError') {
+    return new errors.CRUDResourceExistsError(`A ${query.type} resource with ID ${query.id} already exists`, errors.getQueryDetails(query));
+  }
+  return err;
+};
+
+// Convert errors from the storage adapter into errors which do not expose database internals.
+SCCRUDRethink.prototype._normalizeReadError = function (type, id, err) {
+  if (!err || errors.isCRUDError(err)) {
+    return err;
+  }
+  if (err.name === 'DocumentNotFoundError') {
+    return new errors.CRUDResourceNotFoundError(`The ${type} resource with ID ${id} was not found`, {
+      type: type,
+      id: id
+    });
+  }
+  this.logger.error(err);
+  return new errors.CRUDDatabaseError(`Failed to get resource with id ${id} from the database`, {
+    type: type,
+    id: id
+  });
+};
+
+// Field access rules only apply to CRUD operations which come from sockets.
+SCCRUDRethink.prototype._applyFieldFilter = function (socket, req, next) {
+  if (socket && this.filter) {
+    req.socket = socket;
+    this.filter.applyFieldFilter(req, next);
+  } else {
+    next();
+  }
+};
+
+SCCRUDRethink.prototype._removeBlockedFields = function (socket, query, resource) {
+  if (!socket || !this.filter || resource == null) {
+    return resource;
+  }
+  let blockedFields = this.filter.getBlockedFields({
+    socket: socket,
+    access: 'read',
+    query: query,
+    resource: resource,
+    fields: Object.keys(resource)
+  });
+  if (!blockedFields.length) {
+    return resource;
+  }
+  // The resource may come from the cache so it must not be modified.
+  let allowedResource = Object.assign({}, resource);
+  blockedFields.forEach((field) => {
+    delete allowedResource[field];
+  });
+  return allowedResource;
+};
+
+SCCRUDRethink.prototype._isAudited = function (type) {
+  let modelSchema = this.schema[type];
+  return !!(modelSchema && modelSchema.audit);
+};
+
+SCCRUDRethink.prototype._auditChange = function (change, socket) {
+  if (!change) {
+    return;
+  }
+  (change.dependentChanges || []).forEach((dependentChange) => {
+    this._auditChange(dependentChange, socket);
+  });
+  if (!this._isAudited(change.type)) {
+    return;
+  }
+  this.audit.record(change, socket && socket.authToken, (err) => {
+    if (err) {
+      let error = new errors.CRUDAuditError(`Failed to write audit record for the ${change.action} operation on the ${change.type} resource with ID ${change.id}`, {
+        type: change.type,
+        id: change.id
+      });
+      this.logger.error(err);
+      this.emit('warning', error);
+    }
+  });
+};
+
+SCCRUDRethink.prototype._isSoftDeleteEnabled = function (type) {
+  return softDelete.isSoftDeleteEnabled(this.schema, type);
+};
+
+// Get a document from the storage adapter - Soft-deleted documents are treated as absent.
+SCCRUDRethink.prototype._getResource = function (type, id, callback) {
+  this.adapter.get(type, id, (err, resource) => {
+    if (!err && this._isSoftDeleteEnabled(type) && softDelete.isDeleted(resource)) {
+      let error = new errors.CRUDResourceDeletedError(`The ${type} resource with ID ${id} has been deleted`, {
+        type: type,
+        id: id
+      });
+      callback(error);
+      return;
+    }
+    callback(this._normalizeReadError(type, id, err), resource);
+  });
+};
+
+// Computed fields are declared in the schema under schema[type].computedFields in the form
+// {fieldName: {dependsOn: [sourceField, ...], compute: (resource) => value}}.
+// They are not stored in the database; their values are derived from the document when it is read.
+SCCRUDRethink.prototype._getComputedFields = function (type) {
+  let modelSchema = this.schema[type] || {};
+  return modelSchema.computedFields || {};
+};
+
+SCCRUDRethink.prototype._isComputedField = function (type, field) {
+  return this._getComputedFields(type).hasOwnProperty(field);
+};
+
+// A compute function which throws gives its field a null value.
+SCCRUDRethink.prototype._computeField = function (type, field, resource) {
+  let value;
+  try {
+    value = this._getComputedFields(type)[field].compute(resource || {});
+  } catch (err) {
+    this.logger.error(err);
+    value = null;
+  }
+  return value === undefined ? null : value;
+};
+
+// The resource may come from the cache so it must not be modified.
+SCCRUDRethink.prototype._addComputedFields = function (type, resource) {
+  let computedFieldNames = Object.keys(this._getComputedFields(type));
+  if (resource == null || !computedFieldNames.length) {
+    return resource;
+  }
+  let resourceWithComputedFields = Object.assign({}, resource);
+  computedFieldNames.forEach((field) => {
+    resourceWithComputedFields[field] = this._computeField(type, field, resource);
+  });
+  return resourceWithComputedFields;
+};
+
+// Get the computed fields which depend on any of the given source fields.
+SCCRUDRethink.prototype._getAffectedComputedFields = function (type, fields) {
+  let computedFields = this._getComputedFields(type);
+  return Object.keys(computedFields).filter((field) => {
+    let dependsOn = computedFields[field].dependsOn || [];
+    return dependsOn.some((sourceField) => {
+      return fields.indexOf(sourceField) !== -1;
+    });
+  });
+};
+
+// Lifecycle hooks are declared in the schema under schema[type].hooks. Each hook has the form (req, next).
+// Before hooks are called once the filters (including the field write rules) have allowed the operation; they can
+// modify req.query.value or reject the operation by calling next(err). The fields which they set are validated but
+// not checked against the field write rules. After hooks are called with the old and new document once the operation
+// has succeeded; errors which they pass to next are emitted as warnings.
+SCCRUDRethink.prototype._getHook = function (type, hookName) {
+  let modelSchema = this.schema[type] || {};
+  return (modelSchema.hooks || {})[hookName] || null;
+};
+
+// Call a hook and turn an exception which it throws into a CRUDHookError.
+// The callback is only called once, even if the hook calls next before it throws.
+SCCRUDRethink.prototype._callHook = function (hookName, type, hookRequest, callback) {
+  let isDone = false;
+  let next = (err) => {
+    if (!isDone) {
+      isDone = true;
+      callback(err);
+    }
+  };
+  try {
+    this._getHook(type, hookName)(hookRequest, next);
+  } catch (err) {
+    this.logger.error(err);
+    let query = hookRequest.query || {};
+    next(new errors.CRUDHookError(`The ${hookName} hook of the ${type} model threw an error`, {
+      type: type,
+      id: query.id,
+      hook: hookName
+    }));
+  }
+};
+
+SCCRUDRethink.prototype._runBeforeHook = function (hookName, req, callback) {
+  let query = req.query;
+  if (!this._getHook(query.type, hookName)) {
+    callback();
+    return;
+  }
+  let hookRequest = {
+    r: this.adapter.r,
+    socket: req.socket,
+    action: req.action,
+    authToken: req.socket && req.socket.authToken,
+    query: query,
+    resource: req.resource
+  };
+  this._callHook(hookName, query.type, hookRequest, (err) => {
+    if (err && typeof err === 'boolean') {
+      err = new errors.CRUDBlockedError(`The ${hookName} hook of the ${query.type} model rejected the operation`, errors.getQueryDetails(query, {
+        phase: hookName
+      }));
+    }
+    callback(err || null);
+  });
+};
+
+// After hooks are also called for the documents which were changed because of onDelete rules.
+SCCRUDRethink.prototype._runAfterHook = function (query, change, socket) {
+  if (!change) {
+    return;
+  }
+  (change.dependentChanges || []).forEach((dependentChange) => {
+    this._runAfterHook({type: dependentChange.type, id: dependentChange.id}, dependentChange, socket);
+  });
+  let hookName = afterHookNames[change.action];
+  if (!hookName || !this._getHook(change.type, hookName)) {
+    return;
+  }
+  let hookRequest = {
+    r: this.adapter.r,
+    socket: socket,
+    action: change.action,
+    authToken: socket && socket.authToken,
+    query: query,
+    oldResource: change.oldResource,
+    newResource: change.newResource
+  };
+  this._callHook(hookName, change.type, hookRequest, (err) => {
+    if (err) {
+      let error = new errors.CRUDHookError(`The ${hookName} hook of the ${change.type} model failed for the resource with ID ${change.id}`, {
+        type: change.type,
+        id: change.id,
+        hook: hookName
+      });
+      if (!errors.isCRUDError(err)) {
+        this.logger.error(err);
+      }
+      this.emit('warning', error);
+    }
+  });
+};
+
+// Relations are declared in the schema under schema[type].relations in the form
+// {relationName: {type: 'belongsTo' or 'hasMany', model: relatedType, foreignKey: field}}.
+// For a belongsTo relation, the foreignKey is a field of the document which holds the id of the related document.
+// For a hasMany relation, the foreignKey is a field of the related documents which holds the id of the document.
+SCCRUDRethink.prototype._getRelations = function (type) {
+  let modelSchema = this.schema[type] || {};
+  return modelSchema.relations || {};
+};
+
+// Documents which are read as part of a view or a relation go through the post filter
+// of their own model when the read comes from a socket. Documents which are blocked are left out.
+SCCRUDRethink.prototype._filterResources = function (type, resources, socket, callback) {
+  let allowedResources = [];
+  async.eachSeries(resources, (resource, cb) => {
+    let query = {
+      type: type,
+      id: resource.id
+    };
+    let addResource = () => {
+      allowedResources.push(this._removeBlockedFields(socket, query, this._addComputedFields(type, resource)));
+      cb();
+    };
+    if (!socket || !this.filter) {
+      addResource();
+      return;
+    }
+    let filterRequest = {
+      socket: socket,
+      action: 'read',
+      query: query,
+      resource: resource
+    };
+    this.filter.applyPostFilter(filterRequest, (err) => {
+      if (err) {
+        cb();
+      } else {
+        addResource();
+      }
+    });
+  }, () => {
+    callback(null, allowedResources);
+  });
+};
+
+// Load the related documents of each resource for every relation in the include list.
+// Calls back with a list (in the same order as resources) of objects of the form {relationName: relatedData}.
+SCCRUDRethink.prototype._loadRelations = function (type, resources, include, socket, callback) {
+  let relations = this._getRelations(type);
+  let relationDataList = resources.map(() => {
+    return {};
+  });
+
+  async.eachSeries(include, (relationName, cb) => {
+    let relation = relations[relationName];
+    let isBelongsTo = relation.type === 'belongsTo';
+    let lookupField = isBelongsTo ? 'id' : relation.foreignKey;
+    let lookupValues = [];
+    resources.forEach((resource) => {
+      let value = isBelongsTo ? resource[relation.foreignKey] : resource.id;
+      if (value != null && lookupValues.indexOf(value) === -1) {
+        lookupValues.push(value);
+      }
+    });
+
+    let addRelatedResources = (relatedResources) => {
+      resources.forEach((resource, index) => {
+        if (isBelongsTo) {
+          let relatedResource = relatedResources.find((relatedResource) => {
+            return relatedResource.id === resource[relation.foreignKey];
+          });
+          relationDataList[index][relationName] = relatedResource || null;
+        } else {
+          relationDataList[index][relationName] = relatedResources.filter((relatedResource) => {
+            return relatedResource[relation.foreignKey] === resource.id;
+          });
+        }
+      });
+    };
+
+    if (!lookupValues.length) {
+      addRelatedResources([]);
+      cb();
+      return;
+    }
+    this.adapter.findByField(relation.model, lookupField, lookupValues, (err, relatedResources) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+      this._filterResources(relation.model, relatedResources, socket, (err, allowedResources) => {
+        addRelatedResources(allowedResources);
+        cb();
+      });
+    });
+  }, (err) => {
+    callback(err, relationDataList);
+  });
+};
+
+// Get the onDelete rules which apply when a document of the given type is deleted.
+// A rule can be declared on a hasMany relation of the type or on a belongsTo relation
+// of another model which points to the type.
+SCCRUDRethink.prototype._getDeleteRules = function (type) {
+  let rules = [];
+  let addRule = (model, foreignKey, onDelete) => {
+    let isDuplicate = rules.some((rule) => {
+      return rule.model === model && rule.foreignKey === foreignKey;
+    });
+    if (onDelete && !isDuplicate) {
+      rules.push({
+        model: model,
+        foreignKey: foreignKey,
+        onDelete: onDelete
+      });
+    }
+  };
+  let relations = this._getRelations(type);
+  Object.keys(relations).forEach((relationName) => {
+    let relation = relations[relationName];
+    if (relation.type === 'hasMany') {
+      addRule(relation.model, relation.foreignKey, relation.onDelete);
+    }
+  });
+  Object.keys(this.schema).forEach((modelName) => {
+    let modelRelations = this._getRelations(modelName);
+    Object.keys(modelRelations).forEach((relationName) => {
+      let relation = modelRelations[relationName];
+      if (relation.type === 'belongsTo' && relation.model === type) {
+        addRule(modelName, relation.foreignKey, relation.onDelete);
+      }
+    });
+  });
+  return rules;
+};
+
+// Enforce the onDelete rules before a document is deleted. Dependent documents are deleted (cascade)
+// or have their foreign key set to null (nullify) as server-side operations. Their realtime notifications
+// are held back until applyDependentChanges() is called once the document itself has been deleted.
+// Calls back with (err, dependentChanges, applyDependentChanges).
+SCCRUDRethink.prototype._applyDeleteRules = function (query, context, callback) {
+  let rules = this._getDeleteRules(query.type);
+  if (!rules.length) {
+    callback(null, [], () => {});
+    return;
+  }
+
+  async.mapSeries(rules, (rule, cb) => {
+    this.adapter.findByField(rule.model, rule.foreignKey, [query.id], cb);
+  }, (err, dependentsList) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    let references = [];
+    rules.forEach((rule, index) => {
+      if (rule.onDelete === 'restrict') {
+        dependentsList[index].forEach((dependent) => {
+          references.push({
+            type: rule.model,
+            id: dependent.id,
+            field: rule.foreignKey
+          });
+        });
+      }
+    });
+    if (references.length) {
+      let referenceList = references.map((reference) => {
+        return `${reference.type}/${reference.id} (${reference.field})`;
+      });
+      let error = new errors.CRUDDeleteRestrictedError(`Cannot delete the ${query.type} resource with ID ${query.id} - It is referenced by: ${referenceList.join(', ')}`, errors.getQueryDetails(query, {
+        references: references
+      }));
+      error.references = references;
+      callback(error);
+      return;
+    }
+
+    let dependentContext = this._createOperationContext({deferPublish: true});
+    let dependentChanges = [];
+
+    async.eachOfSeries(rules, (rule, index, cb) => {
+      async.eachSeries(dependentsList[index], (dependent, cb) => {
+        let handler = (err, result, change) => {
+          if (!err) {
+            dependentChanges.push(change);
+          }
+          cb(err);
+        };
+        if (rule.onDelete === 'cascade') {
+          this._delete({type: rule.model, id: dependent.id}, handler, null, dependentContext);
+        } else if (rule.onDelete === 'nullify') {
+          this._update({type: rule.model, id: dependent.id, field: rule.foreignKey, value: null}, handler, null, dependentContext);
+        } else {
+          cb();
+        }
+      }, cb);
+    }, (err) => {
+      if (err) {
+        this._revertChanges(dependentChanges, () => {
+          callback(err);
+        });
+        return;
+      }
+      callback(null, dependentChanges, () => {
+        dependentContext.pendingMessages.forEach((message) => {
+          context.publish(message.channel, message.data);
+        });
+      });
+    });
+  });
+};
+
+SCCRUDRethink.prototype._isPositionedView = function (type, viewName) {
+  let viewSchema = this._getView(type, viewName);
+  return !!(viewSchema && viewSchema.emitPositions);
+};
+
+// Find the index of a document within each of the given affected views which have emitPositions enabled.
+// The index is stored on the view data; if it cannot be determined, the view falls back to plain messages.
+SCCRUDRethink.prototype._addViewPositions = function (type, id, viewDataList, callback) {
+  async.eachSeries(viewDataList, (viewData, cb) => {
+    if (!this._isPositionedView(type, viewData.view)) {
+      cb();
+      return;
+    }
+    this.adapter.viewIndexOf(type, viewData.view, viewData.params, id, (err, index) => {
+      if (err) {
+        this.logger.error(err);
+      } else {
+        viewData.index = index;
+      }
+      cb();
+    });
+  }, () => {
+    callback();
+  });
+};
+
+// Create a view message which describes how the index of a document changed within a view.
+// An index of -1 means that the document is not part of the view. Returns null if nothing changed.
+SCCRUDRethink.prototype._createPositionMessage = function (messageType, id, fromIndex, toIndex) {
+  let action;
+  if (fromIndex === toIndex) {
+    return null;
+  }
+  if (fromIndex === -1) {
+    action = 'insert';
+  } else if (toIndex === -1) {
+    action = 'remove';
+  } else {
+    action = 'move';
+  }
+  return {
+    type: messageType,
+    action: action,
+    id: id,
+    fromIndex: fromIndex === -1 ? null : fromIndex,
+    toIndex: toIndex === -1 ? null : toIndex
+  };
+};
+
+SCCRUDRethink.prototype._publishPositionMessage = function (context, type, viewName, viewParams, message) {
+  if (message) {
+    context.publish(this._getViewChannelName(viewName, viewParams, type), message);
+  }
+};
+
+SCCRUDRethink.prototype._isAggregateView = function (type, viewName) {
+  let viewSchema = this._getView(type, viewName);
+  return !!(viewSchema && viewSchema.aggregate);
+};
+
+// Calculate the current value of each of the given affected views which are aggregate views.
+// If the value cannot be calculated, subscribers of the view are told to invalidate it instead.
+// Each distinct view channel is only calculated once even if it appears several times in the list
+// (e.g. when an update leaves the view params of a document unchanged).
+SCCRUDRethink.prototype._addViewAggregates = function (type, viewDataList, callback) {
+  let aggregates = {};
+  async.eachSeries(viewDataList, (viewData, cb) => {
+    if (!this._isAggregateView(type, viewData.view)) {
+      cb();
+      return;
+    }
+    let viewChannelName = this._getViewChannelName(viewData.view, viewData.params, type);
+    if (aggregates.hasOwnProperty(viewChannelName)) {
+      viewData.aggregate = aggregates[viewChannelName];
+      cb();
+      return;
+    }
+    this.adapter.aggregate(type, viewData.view, viewData.params, (err, value) => {
+      if (err) {
+        this.logger.error(err);
+        viewData.aggregate = null;
+      } else {
+        viewData.aggregate = {
+          value: value
+        };
+      }
+      aggregates[viewChannelName] = viewData.aggregate;
+      cb();
+    });
+  }, () => {
+    callback();
+  });
+};
+
+SCCRUDRethink.prototype._publishViewAggregates = function (context, type, viewDataList) {
+  let publishedChannels = {};
+
+  viewDataList.forEach((viewData) => {
+    if (!this._isAggregateView(type, viewData.view)) {
+      return;
+    }
+    let viewChannelName = this._getViewChannelName(viewData.view, viewData.params, type);
+    if (publishedChannels[viewChannelName]) {
+      return;
+    }
+    publishedChannels[viewChannelName] = true;
+
+    if (viewData.aggregate) {
+      context.publish(viewChannelName, {
+        type: 'aggregate',
+        value: viewData.aggregate.value
+      });
+    } else {
+      context.publish(viewChannelName, {
+        type: 'invalidate'
+      });
+    }
+  });
+};
+
 SCCRUDRethink.prototype._getViews = function (type) {
   let typeSchema = this.schema[type] || {};
   return typeSchema.views || {};
@@ -170,6 +1095,12 @@ SCCRUDRethink.prototype.getQueryAffectedViews = function (query, resource) {
 SCCRUDRethink.prototype.getAffectedViews = function (updateDetails) {
   let affectedViews = [];
   let resource = updateDetails.resource || {};
+  let isSoftDeleteEnabled = this._isSoftDeleteEnabled(updateDetails.type);
+
+  if (isSoftDeleteEnabled && softDelete.isDeleted(resource)) {
+    // Soft-deleted documents do not belong to any view.
+    return affectedViews;
+  }
 
   let viewSchemaMap = this._getViews(updateDetails.type);
 
@@ -177,6 +1108,12 @@ SCCRUDRethink.prototype.getAffectedViews = function (updateDetails) {
     let viewSchema = viewSchemaMap[viewName];
     let paramFields = viewSchema.paramFields || [];
     let affectingFields = viewSchema.affectingFields || [];
+    if (viewSchema.aggregate) {
+      // The value of an aggregate view also depends on the fields which it reduces and groups by.
+      affectingFields = affectingFields.concat([viewSchema.aggregate.field, viewSchema.aggregate.groupBy].filter((fieldName) => {
+        return fieldName != null;
+      }));
+    }
 
     let params = {};
     let affectingData = {};
@@ -195,6 +1132,9 @@ SCCRUDRethink.prototype.getAffectedViews = function (updateDetails) {
       let affectingFieldsLookup = {
         id: true
       };
+      if (isSoftDeleteEnabled) {
+        affectingFieldsLookup[softDelete.deletedAtField] = true;
+      }
       paramFields.forEach((fieldName) => {
         affectingFieldsLookup[fieldName] = true;
       });
@@ -231,6 +1171,25 @@ SCCRUDRethink.prototype.getAffectedViews = function (updateDetails) {
   return affectedViews;
 };
 
+// Run one of the notify methods; invalid updateDetails are passed to the callback (or reject the returned promise).
+SCCRUDRethink.prototype._notify = function (notifier, updateDetails, callback) {
+  if (!callback) {
+    if (this.options.promises) {
+      return callWithPromise((cb) => this._notify(notifier, updateDetails, cb));
+    }
+    // Without a callback, invalid updateDetails are thrown.
+    notifier.call(this, updateDetails);
+    return;
+  }
+  let error = null;
+  try {
+    notifier.call(this, updateDetails);
+  } catch (err) {
+    error = err;
+  }
+  callback(error);
+};
+
 /*
   If you update the database outside of sc-crud-rethink, you can use this method
   to clear sc-crud-rethink cache for a resource and notify all client subscribers
@@ -244,25 +1203,25 @@ SCCRUDRethink.prototype.getAffectedViews = function (updateDetails) {
       and each value represents the new updated value for the field (providing
       updated values is a performance optimization).
 */
-SCCRUDRethink.prototype.notifyResourceUpdate = function (updateDetails) {
+SCCRUDRethink.prototype.notifyResourceUpdate = function (updateDetails, callback) {
+  return this._notify(this._notifyResourceUpdate, updateDetails, callback);
+};
+
+SCCRUDRethink.prototype._notifyResourceUpdate = function (updateDetails) {
   if (updateDetails == null) {
-    let invalidArgumentsError = new Error('The updateDetails object was not specified');
-    invalidArgumentsError.name = 'InvalidArgumentsError';
+    let invalidArgumentsError = new errors.InvalidArgumentsError('The updateDetails object was not specified');
     throw invalidArgumentsError;
   }
   if (updateDetails.type === undefined) {
-    let invalidArgumentsError = new Error('The updateDetails object did not have a type property');
-    invalidArgumentsError.name = 'InvalidArgumentsError';
+    let invalidArgumentsError = new errors.InvalidArgumentsError('The updateDetails object did not have a type property');
     throw invalidArgumentsError;
   }
   if (updateDetails.id === undefined) {
-    let invalidArgumentsError = new Error('The updateDetails object did not have an id property');
-    invalidArgumentsError.name = 'InvalidArgumentsError';
+    let invalidArgumentsError = new errors.InvalidArgumentsError('The updateDetails object did not have an id property');
     throw invalidArgumentsError;
   }
   if (updateDetails.fields === undefined) {
-    let invalidArgumentsError = new Error('The updateDetails object did not have a fields property');
-    invalidArgumentsError.name = 'InvalidArgumentsError';
+    let invalidArgumentsError = new errors.InvalidArgumentsError('The updateDetails object did not have a fields property');
     throw invalidArgumentsError;
   }
 
@@ -307,27 +1266,38 @@ SCCRUDRethink.prototype.notifyResourceUpdate = function (updateDetails) {
     view: The name of the view.
     params: The predicate object/value which defines the affected view.
 */
-SCCRUDRethink.prototype.notifyViewUpdate = function (updateDetails) {
+SCCRUDRethink.prototype.notifyViewUpdate = function (updateDetails, callback) {
+  return this._notify(this._notifyViewUpdate, updateDetails, callback);
+};
+
+SCCRUDRethink.prototype._notifyViewUpdate = function (updateDetails) {
   if (updateDetails == null) {
-    let invalidArgumentsError = new Error('The updateDetails object was not specified');
-    invalidArgumentsError.name = 'InvalidArgumentsError';
+    let invalidArgumentsError = new errors.InvalidArgumentsError('The updateDetails object was not specified');
     throw invalidArgumentsError;
   }
   if (updateDetails.type === undefined) {
-    let invalidArgumentsError = new Error('The updateDetails object did not have a type property');
-    invalidArgumentsError.name = 'InvalidArgumentsError';
+    let invalidArgumentsError = new errors.InvalidArgumentsError('The updateDetails object did not have a type property');
     throw invalidArgumentsError;
   }
   if (updateDetails.view === undefined) {
-    let invalidArgumentsError = new Error('The updateDetails object did not have a view property');
-    invalidArgumentsError.name = 'InvalidArgumentsError';
+    let invalidArgumentsError = new errors.InvalidArgumentsError('The updateDetails object did not have a view property');
     throw invalidArgumentsError;
   }
   if (updateDetails.params === undefined) {
-    let invalidArgumentsError = new Error('The updateDetails object did not have a params property');
-    invalidArgumentsError.name = 'InvalidArgumentsError';
+    let invalidArgumentsError = new errors.InvalidArgumentsError('The updateDetails object did not have a params property');
     throw invalidArgumentsError;
   }
+  if (this._isAggregateView(updateDetails.type, updateDetails.view)) {
+    // The new value of an aggregate view is published once it has been calculated.
+    let viewDataList = [{
+      view: updateDetails.view,
+      params: updateDetails.params
+    }];
+    this._addViewAggregates(updateDetails.type, viewDataList, () => {
+      this._publishViewAggregates(this._createOperationContext(), updateDetails.type, viewDataList);
+    });
+    return;
+  }
   let viewChannelName = this._getViewChannelName(
     updateDetails.view,
     updateDetails.params,
@@ -350,20 +1320,21 @@ SCCRUDRethink.prototype.notifyViewUpdate = function (updateDetails) {
       If the resource no longer exists after the operation (deleted), then
       this should be set to null.
 */
-SCCRUDRethink.prototype.notifyUpdate = function (updateDetails) {
+SCCRUDRethink.prototype.notifyUpdate = function (updateDetails, callback) {
+  return this._notify(this._notifyUpdate, updateDetails, callback);
+};
+
+SCCRUDRethink.prototype._notifyUpdate = function (updateDetails) {
   if (updateDetails == null) {
-    let invalidArgumentsError = new Error('The updateDetails object was not specified');
-    invalidArgumentsError.name = 'InvalidArgumentsError';
+    let invalidArgumentsError = new errors.InvalidArgumentsError('The updateDetails object was not specified');
     throw invalidArgumentsError;
   }
   if (updateDetails.type === undefined) {
-    let invalidArgumentsError = new Error('The updateDetails object did not have a type property');
-    invalidArgumentsError.name = 'InvalidArgumentsError';
+    let invalidArgumentsError = new errors.InvalidArgumentsError('The updateDetails object did not have a type property');
     throw invalidArgumentsError;
   }
   if (updateDetails.oldResource === undefined && updateDetails.newResource === undefined) {
-    let invalidArgumentsError = new Error('The updateDetails object did not have either an oldResource or newResource property');
-    invalidArgumentsError.name = 'InvalidArgumentsError';
+    let invalidArgumentsError = new errors.InvalidArgumentsError('The updateDetails object did not have either an oldResource or newResource property');
     throw invalidArgumentsError;
   }
 
@@ -378,12 +1349,27 @@ SCCRUDRethink.prototype.notifyUpdate = function (updateDetails) {
     return;
   }
 
-  this.notifyResourceUpdate({
+  this._notifyResourceUpdate({
     type: updateDetails.type,
     id: refResource.id,
     fields: updatedFieldsList
   });
 
+  if (updateDetails.newResource) {
+    // Provide the new values of the computed fields which depend on the updated fields.
+    this._getAffectedComputedFields(updateDetails.type, updatedFieldsList).forEach((field) => {
+      let resourcePropertyChannelName = this._getResourcePropertyChannelName({
+        type: updateDetails.type,
+        id: refResource.id,
+        field: field
+      });
+      this.publish(resourcePropertyChannelName, {
+        type: 'update',
+        value: this._computeField(updateDetails.type, field, newResource)
+      });
+    });
+  }
+
   let oldViewParamsMap = {};
   let oldResourceAffectedViews = this.getAffectedViews({
     type: updateDetails.type,
@@ -393,7 +1379,7 @@ SCCRUDRethink.prototype.notifyUpdate = function (updateDetails) {
 
   oldResourceAffectedViews.forEach((viewData) => {
     oldViewParamsMap[viewData.view] = viewData.params;
-    this.notifyViewUpdate({
+    this._notifyViewUpdate({
       type: viewData.type,
       view: viewData.view,
       params: viewData.params
@@ -408,7 +1394,7 @@ SCCRUDRethink.prototype.notifyUpdate = function (updateDetails) {
 
   newResourceAffectedViews.forEach((viewData) => {
     if (!this._areObjectsEqual(oldViewParamsMap[viewData.view], viewData.params)) {
-      this.notifyViewUpdate({
+      this._notifyViewUpdate({
         type: viewData.type,
         view: viewData.view,
         params: viewData.params
@@ -421,15 +1407,29 @@ SCCRUDRethink.prototype.notifyUpdate = function (updateDetails) {
 // affected view (taking into account the affected page number within each view).
 // This allows views to update themselves on the front-end in real-time.
 SCCRUDRethink.prototype.create = function (query, callback, socket) {
-  let validationError = this._validateQuery(query);
+  if (!callback && this.options.promises) {
+    return callWithPromise((cb) => this.create(query, cb, socket));
+  }
+  callback = this._measureOperation('create', query, callback);
+  this._create(query, (err, result, change) => {
+    if (!err) {
+      this._auditChange(change, socket);
+      this._runAfterHook(query, change, socket);
+    }
+    callback && callback(err, result);
+  }, socket, this._createOperationContext());
+};
+
+SCCRUDRethink.prototype._create = function (query, callback, socket, context) {
+  let validationError = this._validateQuery(query, 'create');
   if (validationError) {
     callback && callback(validationError);
     return;
   }
 
-  let ModelClass = this.models[query.type];
+  let modelSchema = this.schema[query.type];
 
-  let savedHandler = (err, result) => {
+  let savedHandler = (err, result, affectedViewData) => {
     if (err) {
       callback && callback(err);
     } else {
@@ -437,34 +1437,122 @@ SCCRUDRethink.prototype.create = function (query, callback, socket) {
         type: query.type,
         id: result.id
       });
-      this.publish(resourceChannelName);
+      context.publish(resourceChannelName);
+
+      this._publishViewAggregates(context, query.type, affectedViewData);
 
-      let affectedViewData = this.getQueryAffectedViews(query, result);
       affectedViewData.forEach((viewData) => {
-        this.publish(this._getViewChannelName(viewData.view, viewData.params, query.type), {
-          type: 'create',
-          id: result.id
-        });
+        if (this._isAggregateView(query.type, viewData.view)) {
+          return;
+        }
+        if (viewData.index != null) {
+          let message = this._createPositionMessage('create', result.id, -1, viewData.index);
+          this._publishPositionMessage(context, query.type, viewData.view, viewData.params, message);
+        } else {
+          context.publish(this._getViewChannelName(viewData.view, viewData.params, query.type), {
+            type: 'create',
+            id: result.id
+          });
+        }
       });
 
-      callback && callback(err, result.id);
+      callback && callback(err, result.id, {
+        action: 'create',
+        type: query.type,
+        id: result.id,
+        oldResource: null,
+        newResource: result
+      });
     }
   };
 
-  if (ModelClass == null) {
-    let error = new Error('The ' + query.type + ' model type is not supported - It is not part of the schema');
-    error.name = 'CRUDInvalidModelType';
+  if (modelSchema == null) {
+    let error = new errors.CRUDInvalidModelType('The ' + query.type + ' model type is not supported - It is not part of the schema', errors.getQueryDetails(query));
     savedHandler(error);
-  } if (typeof query.value === 'object') {
-    let instance = new ModelClass(query.value);
-    instance.save(savedHandler);
+  } else if (query.value && Object.keys(query.value).some((field) => this._isComputedField(query.type, field))) {
+    let error = new errors.CRUDInvalidOperation('Cannot create a document with computed fields - Their values are derived from other fields', errors.getQueryDetails(query));
+    savedHandler(error);
+  } else if (typeof query.value === 'object') {
+    let fieldFilterRequest = {
+      access: 'write',
+      query: query,
+      resource: query.value,
+      fields: Object.keys(query.value || {})
+    };
+    let tasks = [
+      (cb) => this._applyFieldFilter(socket, fieldFilterRequest, cb),
+      (cb) => this._runBeforeHook('beforeCreate', {socket: socket, action: 'create', query: query}, cb)
+    ];
+    async.series(tasks, (err) => {
+      if (err) {
+        savedHandler(err);
+        return;
+      }
+      // The beforeCreate hook may have changed the value.
+      let resource = Object.assign({}, query.value);
+      let versionField = this._getVersionField(query.type);
+      if (versionField) {
+        resource[versionField] = 1;
+      }
+      // Validate all the fields in the schema as well so that a validate function can reject missing values.
+      let fields = Object.keys(Object.assign({}, modelSchema.fields, resource));
+      let fieldValidationError = this._validateFields(query, fields, resource, socket);
+      if (fieldValidationError) {
+        savedHandler(fieldValidationError);
+        return;
+      }
+      this.adapter.insert(query.type, resource, (err, result) => {
+        if (err) {
+          savedHandler(this._normalizeWriteError(query, err));
+          return;
+        }
+        let affectedViewData = this.getQueryAffectedViews(query, result);
+        async.series([
+          (cb) => this._addViewPositions(query.type, result.id, affectedViewData, cb),
+          (cb) => this._addViewAggregates(query.type, affectedViewData, cb)
+        ], () => {
+          savedHandler(null, result, affectedViewData);
+        });
+      });
+    });
   } else {
-    let error = new Error('Cannot create a document from a primitive - Must be an object');
-    error.name = 'CRUDInvalidParams';
+    let error = new errors.CRUDInvalidParams('Cannot create a document from a primitive - Must be an object', errors.getQueryDetails(query));
     savedHandler(error);
   }
 };
 
+// Views are fetched with one extra record to check if there is another page after the current one.
+// This selects the records of the current page and works out the cursors of the adjacent pages.
+SCCRUDRethink.prototype._createPage = function (query, data, pageSize, orderKey) {
+  let hasMore = data.length > pageSize;
+  let isBackward = query.before != null;
+  let page = {};
+
+  if (isBackward) {
+    // When paging backwards, the extra record comes before the page.
+    page.data = data.slice(Math.max(data.length - pageSize, 0));
+  } else {
+    page.data = data.slice(0, pageSize);
+  }
+
+  let firstResource = page.data[0];
+  let lastResource = page.data[page.data.length - 1];
+
+  if (isBackward) {
+    page.prevCursor = hasMore ? cursor.encodeCursor(firstResource, orderKey) : null;
+    page.nextCursor = lastResource ? cursor.encodeCursor(lastResource, orderKey) : null;
+  } else {
+    if (orderKey) {
+      page.prevCursor = query.after != null && firstResource ? cursor.encodeCursor(firstResource, orderKey) : null;
+      page.nextCursor = hasMore ? cursor.encodeCursor(lastResource, orderKey) : null;
+    }
+    if (!hasMore) {
+      page.isLastPage = true;
+    }
+  }
+  return page;
+};
+
 SCCRUDRethink.prototype._appendToResourceReadBuffer = function (resourceChannelName, loadedHandler) {
   if (!this._resourceReadBuffer[resourceChannelName]) {
     this._resourceReadBuffer[resourceChannelName] = [];
@@ -491,11 +1579,19 @@ SCCRUDRethink.prototype._processResourceReadBuffer = function (error, resourceCh
 // A cache entry will automatically get cleared when sc-crud-rethink detects
 // a real-time change to a field which is cached.
 SCCRUDRethink.prototype.read = function (query, callback, socket) {
-  let validationError = this._validateQuery(query);
+  if (!callback && this.options.promises) {
+    return callWithPromise((cb) => this.read(query, cb, socket));
+  }
+  callback = this._measureOperation('read', query, callback);
+  let validationError = this._validateQuery(query, 'read');
   if (validationError) {
     callback && callback(validationError);
     return;
   }
+  if (query.ids != null) {
+    this._readMany(query, callback, socket);
+    return;
+  }
 
   let pageSize = query.pageSize || this.options.defaultPageSize;
 
@@ -514,45 +1610,60 @@ SCCRUDRethink.prototype.read = function (query, callback, socket) {
         };
       }
       let filterRequest = {
-        r: this.thinky.r,
+        r: this.adapter.r,
         socket: socket,
         action: 'read',
         authToken: socket && socket.authToken,
         query: query,
         resource: data
       };
-      applyPostFilter(filterRequest, (err) => {
+      let fieldFilterRequest = {
+        access: 'read',
+        query: query,
+        resource: data,
+        fields: query.field ? [query.field] : (query.fields || [])
+      };
+      async.series([
+        (cb) => {
+          applyPostFilter(filterRequest, cb);
+        },
+        (cb) => {
+          this._applyFieldFilter(socket, fieldFilterRequest, cb);
+        }
+      ], (err) => {
         if (err) {
           callback && callback(err);
         } else {
           let result;
+          let pageResources;
           if (query.id) {
             if (query.field) {
               if (data == null) {
                 data = {};
               }
-              result = data[query.field];
+              if (this._isComputedField(query.type, query.field)) {
+                result = this._computeField(query.type, query.field, data);
+              } else {
+                result = data[query.field];
+              }
+            } else if (query.fields) {
+              result = this._projectFields(this._addComputedFields(query.type, data) || {}, query.fields);
             } else {
-              result = data;
+              result = this._removeBlockedFields(socket, query, this._addComputedFields(query.type, data));
             }
+          } else if (this._isAggregateView(query.type, query.view)) {
+            result = data;
           } else {
-            let documentList = [];
-            let resultCount = Math.min(data.length, pageSize);
-
-            for (let i = 0; i < resultCount; i++) {
-              documentList.push(data[i].id || null);
-            }
-            result = {
-              data: documentList
-            };
+            let viewSchema = this._getView(query.type, query.view) || {};
+            result = this._createPage(query, data, pageSize, viewSchema.orderKey);
+            pageResources = result.data;
+            result.data = pageResources.map((resource) => {
+              return resource.id || null;
+            });
 
             if (query.getCount) {
               result.count = count;
             }
-
-            if (data.length < pageSize + 1) {
-              result.isLastPage = true;
-            }
           }
           // Return null instead of undefined - That way the frontend will know
           // that the value was read but didn't exist (or was null).
@@ -560,31 +1671,63 @@ SCCRUDRethink.prototype.read = function (query, callback, socket) {
             result = null;
           }
 
-          callback && callback(null, result);
+          let tasks = [];
+          if (query.expand && pageResources) {
+            tasks.push((cb) => {
+              this._expandPage(query, pageResources, socket, (err, expandedResources) => {
+                result.data = expandedResources;
+                cb(err);
+              });
+            });
+          }
+          if (query.include && query.include.length && result != null) {
+            tasks.push((cb) => {
+              let resources = query.id ? [data] : pageResources;
+              this._loadRelations(query.type, resources, query.include, socket, (err, relationDataList) => {
+                if (err) {
+                  this.logger.error(err);
+                  cb(new errors.CRUDDatabaseError(`Failed to load the related resources of the ${query.type} model type`, errors.getQueryDetails(query)));
+                  return;
+                }
+                if (query.id) {
+                  // Related documents are embedded under the name of their relation.
+                  result = Object.assign({}, result, relationDataList[0]);
+                } else {
+                  // The documents of a view page are identified by their ids.
+                  result.included = {};
+                  resources.forEach((resource, index) => {
+                    result.included[resource.id] = relationDataList[index];
+                  });
+                }
+                cb();
+              });
+            });
+          }
+          async.series(tasks, (err) => {
+            if (err) {
+              callback && callback(err);
+            } else {
+              callback && callback(null, result);
+            }
+          });
         }
       });
     }
   };
 
-  let ModelClass = this.models[query.type];
-  if (ModelClass == null) {
-    let error = new Error('The ' + query.type + ' model type is not supported - It is not part of the schema');
-    error.name = 'CRUDInvalidModelType';
+  if (this.schema[query.type] == null) {
+    let error = new errors.CRUDInvalidModelType('The ' + query.type + ' model type is not supported - It is not part of the schema', errors.getQueryDetails(query));
     loadedHandler(error);
   } else {
     if (query.id) {
       let dataProvider = (cb) => {
-        ModelClass.get(query.id).run((err, data) => {
-          let error;
-          if (err) {
-            this.logger.error(err);
-            error = new Error(`Failed to get resource with id ${query.id} from the database`);
-          } else {
-            error = null;
-          }
-          cb(error, data);
-        });
+        this._getResource(query.type, query.id, cb);
       };
+      if (!this.scServer) {
+        // Without a server, there is no resource channel to keep the cache up to date.
+        this.cache.pass(query, dataProvider, loadedHandler);
+        return;
+      }
       let resourceChannelName = this._getResourceChannelName(query);
 
       let isSubscribedToResourceChannel = this.scServer.exchange.isSubscribed(resourceChannelName);
@@ -606,8 +1749,7 @@ SCCRUDRethink.prototype.read = function (query, callback, socket) {
         };
         let handleResourceSubscribeFailure = (err) => {
           resourceChannel.removeListener('subscribe', handleResourceSubscribe);
-          let error = new Error('Failed to subscribe to resource channel for the ' + query.type + ' model');
-          error.name = 'FailedToSubscribeToResourceChannel';
+          let error = new errors.FailedToSubscribeToResourceChannel('Failed to subscribe to resource channel for the ' + query.type + ' model', errors.getQueryDetails(query));
           this._processResourceReadBuffer(error, resourceChannelName, query, dataProvider);
         };
 
@@ -616,32 +1758,46 @@ SCCRUDRethink.prototype.read = function (query, callback, socket) {
         resourceChannel.once('subscribeFail', handleResourceSubscribeFailure);
         resourceChannel.watch(this._handleResourceChange.bind(this, query));
       }
+    } else if (this._isAggregateView(query.type, query.view)) {
+      this.adapter.aggregate(query.type, query.view, query.viewParams, (err, value) => {
+        if (err) {
+          let error = new errors.CRUDDatabaseError(`Failed to calculate aggregate view ${query.view} for type ${query.type} with viewParams ${JSON.stringify(query.viewParams)}`, errors.getQueryDetails(query));
+          this.logger.error(err);
+          this.logger.error(error);
+          loadedHandler(error);
+        } else {
+          loadedHandler(null, value);
+        }
+      });
     } else {
-      let rethinkQuery = constructTransformedRethinkQuery(this.options, ModelClass, query.type, query.view, query.viewParams);
+      let viewSchema = this._getView(query.type, query.view) || {};
+      let pageQuery = {
+        offset: query.offset,
+        after: query.after,
+        before: query.before,
+        // Get one extra record just to check if we have the last value in the sequence.
+        limit: pageSize + 1
+      };
+      if (!query.expand && (!query.include || !query.include.length)) {
+        // Whole documents are only needed to expand the page or to find related documents.
+        pageQuery.fields = viewSchema.orderKey ? ['id', viewSchema.orderKey] : ['id'];
+      }
 
       let tasks = [];
 
-      if (query.offset) {
-        tasks.push((cb) => {
-          // Get one extra record just to check if we have the last value in the sequence.
-          rethinkQuery.slice(query.offset, query.offset + pageSize + 1).pluck('id').run(cb);
-        });
-      } else {
-        tasks.push((cb) => {
-          // Get one extra record just to check if we have the last value in the sequence.
-          rethinkQuery.limit(pageSize + 1).pluck('id').run(cb);
-        });
-      }
+      tasks.push((cb) => {
+        this.adapter.viewQuery(query.type, query.view, query.viewParams, pageQuery, cb);
+      });
 
       if (query.getCount) {
         tasks.push((cb) => {
-          rethinkQuery.count().execute(cb);
+          this.adapter.count(query.type, query.view, query.viewParams, cb);
         });
       }
 
       async.parallel(tasks, (err, results) => {
         if (err) {
-          let error = new Error(`Failed to generate view ${query.view} for type ${query.type} with viewParams ${JSON.stringify(query.viewParams)}`);
+          let error = new errors.CRUDDatabaseError(`Failed to generate view ${query.view} for type ${query.type} with viewParams ${JSON.stringify(query.viewParams)}`, errors.getQueryDetails(query));
           this.logger.error(err);
           this.logger.error(error);
           loadedHandler(error);
@@ -653,6 +1809,246 @@ SCCRUDRethink.prototype.read = function (query, callback, socket) {
   }
 };
 
+// Add the documents of a view page to the cache. Cached documents are kept up to date through their
+// resource channel but the view data may predate the subscription so the documents are read again
+// (with a single query) once the worker is subscribed to all of their channels.
+SCCRUDRethink.prototype._cacheResources = function (type, ids) {
+  if (!this.scServer || this.cache.cacheDisabled) {
+    return;
+  }
+  let subscribedIds = [];
+  async.each(ids, (id, cb) => {
+    let query = {type: type, id: id};
+    let resourceChannelName = this._getResourceChannelName(query);
+    if (this.cache.get(query)) {
+      cb();
+    } else if (this.scServer.exchange.isSubscribed(resourceChannelName)) {
+      subscribedIds.push(id);
+      cb();
+    } else if (this.scServer.exchange.isSubscribed(resourceChannelName, true)) {
+      // The read which is waiting for the pending subscription will add the document to the cache.
+      cb();
+    } else {
+      let handleResourceSubscribe = () => {
+        resourceChannel.removeListener('subscribeFail', handleResourceSubscribeFailure);
+        subscribedIds.push(id);
+        cb();
+      };
+      let handleResourceSubscribeFailure = () => {
+        resourceChannel.removeListener('subscribe', handleResourceSubscribe);
+        cb();
+      };
+      let resourceChannel = this.scServer.exchange.subscribe(resourceChannelName);
+      resourceChannel.once('subscribe', handleResourceSubscribe);
+      resourceChannel.once('subscribeFail', handleResourceSubscribeFailure);
+      resourceChannel.watch(this._handleResourceChange.bind(this, query));
+    }
+  }, () => {
+    if (!subscribedIds.length) {
+      return;
+    }
+    let loadResources = async.memoize((cb) => {
+      this.adapter.getAll(type, subscribedIds, cb);
+    });
+    subscribedIds.forEach((id) => {
+      let dataProvider = (cb) => {
+        loadResources((err, resources) => {
+          if (err) {
+            cb(err);
+            return;
+          }
+          let resource = resources.find((resource) => {
+            return resource.id === id;
+          });
+          if (!resource || (this._isSoftDeleteEnabled(type) && softDelete.isDeleted(resource))) {
+            // The entry is cleared which releases the resource channel.
+            cb(new errors.CRUDResourceNotFoundError(`The ${type} resource with ID ${id} was not found`, {
+              type: type,
+              id: id
+            }));
+            return;
+          }
+          cb(null, resource);
+        });
+      };
+      this.cache.pass({type: type, id: id}, dataProvider, (err) => {
+        if (err && !errors.isCRUDError(err)) {
+          this.logger.error(err);
+        }
+      });
+    });
+  });
+};
+
+SCCRUDRethink.prototype._projectFields = function (resource, fields) {
+  let projection = {};
+  fields.forEach((field) => {
+    if (resource.hasOwnProperty(field)) {
+      projection[field] = resource[field];
+    }
+  });
+  return projection;
+};
+
+// Get the full documents of a view page in order - If query.expand is a list of fields,
+// each document only contains those fields.
+SCCRUDRethink.prototype._expandPage = function (query, resources, socket, callback) {
+  this._cacheResources(query.type, resources.map((resource) => {
+    return resource.id;
+  }));
+  this._filterResources(query.type, resources, socket, (err, allowedResources) => {
+    if (Array.isArray(query.expand)) {
+      allowedResources = allowedResources.map((resource) => {
+        return this._projectFields(resource, ['id'].concat(query.expand));
+      });
+    }
+    callback(err, allowedResources);
+  });
+};
+
+// Read multiple documents (or a single field within each document) by id in one round trip.
+// Documents which are in the cache are taken from it and the rest are fetched with a single query.
+// Documents which were fetched are not added to the cache because there is no resource channel
+// subscription to keep them up to date. Calls back with a result of the form {data, errors} where
+// data maps each readable id to its document (or field value) and errors maps each other id to an error.
+SCCRUDRethink.prototype._readMany = function (query, callback, socket) {
+  let ids = [];
+  query.ids.forEach((id) => {
+    if (ids.indexOf(id) === -1) {
+      ids.push(id);
+    }
+  });
+
+  let resources = {};
+  let missingIds = [];
+  ids.forEach((id) => {
+    let cacheEntry = this.cache.get({type: query.type, id: id});
+    if (cacheEntry && !cacheEntry.pending) {
+      resources[id] = cacheEntry.resource;
+    } else {
+      missingIds.push(id);
+    }
+  });
+
+  let loadMissingResources = (cb) => {
+    if (!missingIds.length) {
+      cb();
+      return;
+    }
+    this.adapter.getAll(query.type, missingIds, (err, missingResources) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+      missingResources.forEach((resource) => {
+        resources[resource.id] = resource;
+      });
+      cb();
+    });
+  };
+
+  loadMissingResources((err) => {
+    if (err) {
+      this.logger.error(err);
+      callback && callback(new errors.CRUDDatabaseError(`Failed to get resources of the ${query.type} model type from the database`, errors.getQueryDetails(query)));
+      return;
+    }
+    let result = {
+      data: {},
+      errors: {}
+    };
+    let addError = (id, error) => {
+      let clientError = errors.serializeError(error);
+      result.errors[id] = {
+        name: clientError.name,
+        message: clientError.message
+      };
+    };
+
+    async.eachSeries(ids, (id, cb) => {
+      let resource = resources[id];
+      let resourceQuery = {
+        type: query.type,
+        id: id
+      };
+      if (query.field != null) {
+        resourceQuery.field = query.field;
+      }
+      if (resource == null) {
+        let error = new errors.CRUDResourceNotFoundError(`The ${query.type} resource with ID ${id} was not found`, errors.getQueryDetails(resourceQuery));
+        addError(id, error);
+        cb();
+        return;
+      }
+      if (this._isSoftDeleteEnabled(query.type) && softDelete.isDeleted(resource)) {
+        let error = new errors.CRUDResourceDeletedError(`The ${query.type} resource with ID ${id} has been deleted`, errors.getQueryDetails(resourceQuery));
+        addError(id, error);
+        cb();
+        return;
+      }
+      async.series([
+        (cb) => {
+          if (socket && this.filter) {
+            this.filter.applyPostFilter({
+              socket: socket,
+              action: 'read',
+              query: resourceQuery,
+              resource: resource
+            }, cb);
+          } else {
+            cb();
+          }
+        },
+        (cb) => {
+          this._applyFieldFilter(socket, {
+            access: 'read',
+            query: resourceQuery,
+            resource: resource,
+            fields: query.field ? [query.field] : (query.fields || [])
+          }, cb);
+        }
+      ], (err) => {
+        if (err) {
+          addError(id, err);
+        } else if (query.field != null) {
+          let value;
+          if (this._isComputedField(query.type, query.field)) {
+            value = this._computeField(query.type, query.field, resource);
+          } else {
+            value = resource[query.field];
+          }
+          result.data[id] = value === undefined ? null : value;
+        } else if (query.fields) {
+          result.data[id] = this._projectFields(this._addComputedFields(query.type, resource), query.fields);
+        } else {
+          result.data[id] = this._removeBlockedFields(socket, resourceQuery, this._addComputedFields(query.type, resource));
+        }
+        cb();
+      });
+    }, () => {
+      let readableIds = Object.keys(result.data);
+      if (!query.include || !query.include.length || !readableIds.length) {
+        callback && callback(null, result);
+        return;
+      }
+      let readableResources = readableIds.map((id) => {
+        return resources[id];
+      });
+      this._loadRelations(query.type, readableResources, query.include, socket, (err, relationDataList) => {
+        if (err) {
+          this.logger.error(err);
+          callback && callback(new errors.CRUDDatabaseError(`Failed to load the related resources of the ${query.type} model type`, errors.getQueryDetails(query)));
+          return;
+        }
+        readableIds.forEach((id, index) => {
+          result.data[id] = Object.assign({}, result.data[id], relationDataList[index]);
+        });
+        callback && callback(null, result);
+      });
+    });
+  });
+};
+
 // Update a single whole document or one or more fields within a document.
 // Whenever a document is updated, it may affect the ordering and pagination of
 // certain views. This update operation will send notifications to all affected
@@ -660,70 +2056,116 @@ SCCRUDRethink.prototype.read = function (query, callback, socket) {
 // has been affected by the update operation - This allows them to update
 // themselves in real-time.
 SCCRUDRethink.prototype.update = function (query, callback, socket) {
-  let validationError = this._validateQuery(query);
+  if (!callback && this.options.promises) {
+    return callWithPromise((cb) => this.update(query, cb, socket));
+  }
+  callback = this._measureOperation('update', query, callback);
+  this._update(query, (err, result, change) => {
+    if (!err) {
+      this._auditChange(change, socket);
+      this._runAfterHook(query, change, socket);
+    }
+    callback && callback(err);
+  }, socket, this._createOperationContext());
+};
+
+SCCRUDRethink.prototype._update = function (query, callback, socket, context) {
+  let validationError = this._validateQuery(query, 'update');
   if (validationError) {
     callback && callback(validationError);
     return;
   }
 
-  let savedHandler = (err, oldAffectedViewData, result) => {
+  let oldResource;
+  let oldAffectedViewData;
+
+  let savedHandler = (err, oldAffectedViewData, result, newAffectedViewData) => {
     if (err) {
-      this.emit('warning', err);
+      // Invalid input is the client's problem so it does not need to be reported as a warning.
+      if (err.name !== 'CRUDValidationError') {
+        this._emitOperationWarning(err);
+      }
     } else {
       let resourceChannelName = this._getResourceChannelName(query);
-      this.publish(resourceChannelName);
+      context.publish(resourceChannelName);
+
+      let updatedFields = {};
+      if (query.op != null) {
+        // The value of the field is only known once the database has applied the operation.
+        updatedFields[query.field] = result[query.field];
+      } else if (query.field) {
+        updatedFields[query.field] = query.value;
+      } else {
+        Object.assign(updatedFields, query.value);
+      }
 
-      if (query.field) {
-        let cleanValue = query.value;
-        if (cleanValue === undefined) {
-          cleanValue = null;
+      let versionField = this._getVersionField(query.type);
+      let newVersion;
+      if (versionField) {
+        newVersion = result[versionField];
+        updatedFields[versionField] = newVersion;
+      }
+
+      this._getAffectedComputedFields(query.type, Object.keys(updatedFields)).forEach((field) => {
+        updatedFields[field] = this._computeField(query.type, field, result);
+      });
+
+      Object.keys(updatedFields).forEach((field) => {
+        let value = updatedFields[field];
+        if (value === undefined) {
+          value = null;
         }
-        this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + query.field, {
+        let message = {
           type: 'update',
-          value: cleanValue
-        });
-      } else {
-        let queryValue = query.value || {};
-        Object.keys(queryValue).forEach((field) => {
-          let value = queryValue[field];
-          if (value === undefined) {
-            value = null;
-          }
-          this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field, {
-            type: 'update',
-            value: value
-          });
-        });
-      }
+          value: value
+        };
+        if (versionField) {
+          message.version = newVersion;
+        }
+        context.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field, message);
+      });
+
+      this._publishViewAggregates(context, query.type, oldAffectedViewData.concat(newAffectedViewData));
 
       let oldViewDataMap = {};
       oldAffectedViewData.forEach((viewData) => {
         oldViewDataMap[viewData.view] = viewData;
       });
 
-      let newAffectedViewData = this.getQueryAffectedViews(query, result);
-
       newAffectedViewData.forEach((viewData) => {
+        if (this._isAggregateView(query.type, viewData.view)) {
+          return;
+        }
         let oldViewData = oldViewDataMap[viewData.view] || {};
         let areViewParamsEqual = this._areObjectsEqual(oldViewData.params, viewData.params);
 
-        if (areViewParamsEqual) {
+        if (viewData.index != null && oldViewData.index != null) {
+          if (areViewParamsEqual) {
+            let message = this._createPositionMessage('update', query.id, oldViewData.index, viewData.index);
+            this._publishPositionMessage(context, query.type, viewData.view, viewData.params, message);
+          } else {
+            let removeMessage = this._createPositionMessage('update', query.id, oldViewData.index, -1);
+            this._publishPositionMessage(context, query.type, viewData.view, oldViewData.params, removeMessage);
+            let insertMessage = this._createPositionMessage('update', query.id, -1, viewData.index);
+            this._publishPositionMessage(context, query.type, viewData.view, viewData.params, insertMessage);
+          }
+        } else if (areViewParamsEqual) {
           let areAffectingDataEqual = this._areObjectsEqual(oldViewData.affectingData, viewData.affectingData);
 
           if (!areAffectingDataEqual) {
-            this.publish(this._getViewChannelName(viewData.view, viewData.params, query.type), {
+            context.publish(this._getViewChannelName(viewData.view, viewData.params, query.type), {
               type: 'update',
               action: 'move',
               id: query.id
             });
           }
         } else {
-          this.publish(this._getViewChannelName(viewData.view, oldViewData.params, query.type), {
+          context.publish(this._getViewChannelName(viewData.view, oldViewData.params, query.type), {
             type: 'update',
             action: 'remove',
             id: query.id
           });
-          this.publish(this._getViewChannelName(viewData.view, viewData.params, query.type), {
+          context.publish(this._getViewChannelName(viewData.view, viewData.params, query.type), {
             type: 'update',
             action: 'add',
             id: query.id
@@ -731,17 +2173,24 @@ SCCRUDRethink.prototype.update = function (query, callback, socket) {
         }
       });
     }
-    callback && callback(err);
+    if (err) {
+      callback && callback(err);
+    } else {
+      callback && callback(null, undefined, {
+        action: 'update',
+        type: query.type,
+        id: query.id,
+        oldResource: oldResource,
+        newResource: result
+      });
+    }
   };
 
-  let ModelClass = this.models[query.type];
-  if (ModelClass == null) {
-    let error = new Error('The ' + query.type + ' model type is not supported - It is not part of the schema');
-    error.name = 'CRUDInvalidModelType';
+  if (this.schema[query.type] == null) {
+    let error = new errors.CRUDInvalidModelType('The ' + query.type + ' model type is not supported - It is not part of the schema', errors.getQueryDetails(query));
     savedHandler(error);
   } else if (query.id == null) {
-    let error = new Error('Cannot update document without specifying an id');
-    error.name = 'CRUDInvalidParams';
+    let error = new errors.CRUDInvalidParams('Cannot update document without specifying an id', errors.getQueryDetails(query));
     savedHandler(error);
   } else {
     let tasks = [];
@@ -758,95 +2207,329 @@ SCCRUDRethink.prototype.update = function (query, callback, socket) {
     }
 
     let filterRequest = {
-      r: this.thinky.r,
+      r: this.adapter.r,
       socket: socket,
       action: 'update',
       authToken: socket && socket.authToken,
       query: query
     };
 
-    let modelInstance;
-    let loadModelInstanceAndGetViewData = (cb) => {
-      ModelClass.get(query.id).run().then((instance) => {
-        modelInstance = instance;
-        let oldAffectedViewData = this.getQueryAffectedViews(query, modelInstance);
-        cb(null, oldAffectedViewData);
-      }).error(cb);
+    let writeOptions = this._getWriteOptions(query);
+
+    let loadResourceAndGetViewData = (cb) => {
+      this._getResource(query.type, query.id, (err, resource) => {
+        if (err) {
+          cb(err);
+          return;
+        }
+        oldResource = resource;
+        oldAffectedViewData = this.getQueryAffectedViews(query, oldResource);
+        cb();
+      });
+    };
+
+    // The positions of the document are only looked up once the post filter has allowed the update.
+    let applyPostFilterAndAddViewPositions = (cb) => {
+      filterRequest.resource = oldResource;
+      applyPostFilter(filterRequest, (err) => {
+        if (err) {
+          cb(err);
+        } else {
+          this._addViewPositions(query.type, query.id, oldAffectedViewData, cb);
+        }
+      });
     };
 
-    if (query.field) {
+    let versionField = this._getVersionField(query.type);
+
+    if (versionField && (query.field === versionField || (!query.field && query.value && query.value.hasOwnProperty(versionField)))) {
+      let error = new errors.CRUDInvalidOperation(`Cannot modify the ${versionField} field of a versioned document`, errors.getQueryDetails(query));
+      savedHandler(error);
+    } else if (query.field ? this._isComputedField(query.type, query.field) : Object.keys(query.value || {}).some((field) => this._isComputedField(query.type, field))) {
+      let error = new errors.CRUDInvalidOperation('Cannot modify a computed field - Its value is derived from other fields', errors.getQueryDetails(query));
+      savedHandler(error);
+    } else if (query.field) {
       if (query.field === 'id') {
-        let error = new Error('Cannot modify the id field of an existing document');
-        error.name = 'CRUDInvalidOperation';
+        let error = new errors.CRUDInvalidOperation('Cannot modify the id field of an existing document', errors.getQueryDetails(query));
         savedHandler(error);
       } else {
-        tasks.push(loadModelInstanceAndGetViewData);
+        tasks.push(loadResourceAndGetViewData);
+
+        tasks.push(applyPostFilterAndAddViewPositions);
 
         tasks.push((cb) => {
-          filterRequest.resource = modelInstance;
-          applyPostFilter(filterRequest, (err) => {
+          this._applyFieldFilter(socket, {
+            access: 'write',
+            query: query,
+            resource: oldResource,
+            fields: [query.field]
+          }, (err) => {
             if (err) {
               cb(err);
-            } else {
-              modelInstance[query.field] = query.value;
-              modelInstance.save(cb);
+              return;
             }
+            this._runBeforeHook('beforeUpdate', filterRequest, (err) => {
+              if (err) {
+                cb(err);
+                return;
+              }
+              let fields = {};
+              if (query.op == null) {
+                fields[query.field] = query.value;
+              } else {
+                let currentValue = oldResource[query.field];
+                let operationError = fieldOperations.getOperationError(query.op, query.field, currentValue, query.value);
+                if (operationError) {
+                  let fieldErrors = {};
+                  fieldErrors[query.field] = {
+                    code: 'invalidType',
+                    message: operationError
+                  };
+                  cb(this._createValidationError(query, fieldErrors, `Invalid ${query.type} resource - ${operationError}`));
+                  return;
+                }
+                // The new value is only used for validation - The database applies the operation to the current value.
+                fields[query.field] = fieldOperations.applyOperation(query.op, currentValue, query.value);
+              }
+              let fieldValidationError = this._validateFields(query, [query.field], Object.assign({}, oldResource, fields), socket);
+              if (fieldValidationError) {
+                cb(fieldValidationError);
+              } else if (query.op == null) {
+                this.adapter.patch(query.type, query.id, fields, writeOptions, cb);
+              } else {
+                let operationOptions = writeOptions;
+                if (getFieldMetadata(this.schema, query.type, query.field).validate) {
+                  // The new value was validated against the value which was read so the operation fails
+                  // with a conflict if another write has changed the field in the meantime.
+                  operationOptions = Object.assign({}, writeOptions, {expectedValue: oldResource[query.field]});
+                }
+                this.adapter.applyFieldOperation(query.type, query.id, query.field, query.op, query.value, operationOptions, cb);
+              }
+            });
           });
         });
       }
     } else {
       if (typeof query.value === 'object') {
-        tasks.push(loadModelInstanceAndGetViewData);
+        tasks.push(loadResourceAndGetViewData);
+
+        tasks.push(applyPostFilterAndAddViewPositions);
 
         tasks.push((cb) => {
-          filterRequest.resource = modelInstance;
-          applyPostFilter(filterRequest, (err) => {
+          this._applyFieldFilter(socket, {
+            access: 'write',
+            query: query,
+            resource: oldResource,
+            fields: Object.keys(query.value || {})
+          }, (err) => {
             if (err) {
               cb(err);
-            } else {
-              let queryValue = query.value || {};
-              Object.keys(queryValue).forEach((field) => {
-                modelInstance[field] = queryValue[field];
-              });
-              modelInstance.save(cb);
+              return;
             }
+            this._runBeforeHook('beforeUpdate', filterRequest, (err) => {
+              if (err) {
+                cb(err);
+                return;
+              }
+              let queryValue = query.value || {};
+              let fieldValidationError = this._validateFields(query, Object.keys(queryValue), Object.assign({}, oldResource, queryValue), socket);
+              if (fieldValidationError) {
+                cb(fieldValidationError);
+              } else {
+                this.adapter.patch(query.type, query.id, queryValue, writeOptions, cb);
+              }
+            });
           });
         });
       } else {
-        let error = new Error('Cannot replace document with a primitive - Must be an object');
-        error.name = 'CRUDInvalidOperation';
+        let error = new errors.CRUDInvalidOperation('Cannot replace document with a primitive - Must be an object', errors.getQueryDetails(query));
         savedHandler(error);
       }
     }
     if (tasks.length) {
       async.series(tasks, (err, results) => {
         if (err) {
-          savedHandler(err);
+          savedHandler(this._normalizeWriteError(query, err));
         } else {
-          savedHandler(null, results[0], results[1]);
+          // The write operation is always the last task.
+          let result = results[results.length - 1];
+          let newAffectedViewData = this.getQueryAffectedViews(query, result);
+          // Aggregates are calculated after the write for both the old and the new view params.
+          async.series([
+            (cb) => this._addViewPositions(query.type, query.id, newAffectedViewData, cb),
+            (cb) => this._addViewAggregates(query.type, oldAffectedViewData.concat(newAffectedViewData), cb)
+          ], () => {
+            savedHandler(null, oldAffectedViewData, result, newAffectedViewData);
+          });
         }
       });
     }
   }
 };
 
+// Create a document with a known id or update it if it already exists.
+// The query has the form {type, id, value}. The document goes through the same filters,
+// hooks and realtime notifications as a create or an update.
+SCCRUDRethink.prototype.upsert = function (query, callback, socket) {
+  if (!callback && this.options.promises) {
+    return callWithPromise((cb) => this.upsert(query, cb, socket));
+  }
+  callback = this._measureOperation('upsert', query, callback);
+  this._upsert(query, (err, result, change) => {
+    if (!err) {
+      this._auditChange(change, socket);
+      this._runAfterHook(query, change, socket);
+    }
+    callback && callback(err, result);
+  }, socket, this._createOperationContext());
+};
+
+SCCRUDRethink.prototype._upsert = function (query, callback, socket, context) {
+  let validationError = this._validateQuery(query, 'upsert');
+  if (validationError) {
+    callback && callback(validationError);
+    return;
+  }
+  if (query.id == null || query.field != null) {
+    let error = new errors.CRUDInvalidParams('Cannot upsert a document without specifying an id - Upserting individual fields is not supported', errors.getQueryDetails(query));
+    callback && callback(error);
+    return;
+  }
+  if (query.value == null || typeof query.value !== 'object') {
+    let error = new errors.CRUDInvalidParams('Cannot upsert a document from a primitive - Must be an object', errors.getQueryDetails(query));
+    callback && callback(error);
+    return;
+  }
+  if (query.value.id != null && query.value.id !== query.id) {
+    let error = new errors.CRUDInvalidParams('Cannot upsert a document with a value id which is different from the query id', errors.getQueryDetails(query));
+    callback && callback(error);
+    return;
+  }
+
+  let upsertedHandler = (err, result, change) => {
+    if (err && err.code === errors.CRUDResourceDeletedError.code) {
+      // A soft-deleted document is neither created again nor updated.
+      err = new errors.CRUDInvalidOperation(`Cannot upsert the ${query.type} resource with ID ${query.id} - It has been deleted so it must be restored first`, errors.getQueryDetails(query));
+    }
+    if (err) {
+      callback && callback(err);
+    } else {
+      callback && callback(null, query.id, change);
+    }
+  };
+
+  // Sockets go through the pre filter with the create or update action (and query) of the path which the upsert takes.
+  let applyPreFilter = (action, pathQuery, cb) => {
+    if (socket && this.filter) {
+      this.filter.applyPreFilter({socket: socket, action: action, query: pathQuery}, cb);
+    } else {
+      cb();
+    }
+  };
+
+  let updateResource = () => {
+    let updateValue = Object.assign({}, query.value);
+    delete updateValue.id;
+    let updateQuery = Object.assign({}, query, {value: updateValue});
+    applyPreFilter('update', updateQuery, (err) => {
+      if (err) {
+        upsertedHandler(err);
+      } else {
+        this._update(updateQuery, upsertedHandler, socket, context);
+      }
+    });
+  };
+
+  this._getResource(query.type, query.id, (err) => {
+    if (err && err.code === errors.CRUDResourceNotFoundError.code) {
+      let createQuery = {
+        type: query.type,
+        value: Object.assign({}, query.value, {id: query.id})
+      };
+      applyPreFilter('create', createQuery, (err) => {
+        if (err) {
+          upsertedHandler(err);
+          return;
+        }
+        this._create(createQuery, (err, result, change) => {
+          if (err && err.code === errors.CRUDResourceExistsError.code) {
+            // The document was created by someone else in the meantime.
+            updateResource();
+          } else {
+            upsertedHandler(err, result, change);
+          }
+        }, socket, context);
+      });
+    } else if (err) {
+      upsertedHandler(err);
+    } else {
+      updateResource();
+    }
+  });
+};
+
 // Delete a single document or field from a document.
 // This will notify affected views so that they may update themselves
 // in real-time.
 SCCRUDRethink.prototype.delete = function (query, callback, socket) {
-  let validationError = this._validateQuery(query);
+  if (!callback && this.options.promises) {
+    return callWithPromise((cb) => this.delete(query, cb, socket));
+  }
+  callback = this._measureOperation('delete', query, callback);
+  this._delete(query, (err, result, change) => {
+    if (!err) {
+      this._auditChange(change, socket);
+      this._runAfterHook(query, change, socket);
+    }
+    callback && callback(err);
+  }, socket, this._createOperationContext());
+};
+
+SCCRUDRethink.prototype._delete = function (query, callback, socket, context) {
+  let validationError = this._validateQuery(query, 'delete');
   if (validationError) {
     callback && callback(validationError);
     return;
   }
 
+  let oldResource;
+  let oldAffectedViewData;
+  let dependentChanges = [];
+
   let deletedHandler = (err, oldAffectedViewData, result) => {
     if (err) {
-      this.emit('warning', err);
+      this._emitOperationWarning(err);
     } else {
+      this._publishViewAggregates(context, query.type, oldAffectedViewData);
+
       if (query.field) {
-        this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + query.field, {
-          type: 'delete'
+        let versionField = this._getVersionField(query.type);
+        let newVersion;
+        if (versionField) {
+          newVersion = result[versionField];
+          context.publish(this.channelPrefix + query.type + '/' + query.id + '/' + query.field, {
+            type: 'delete',
+            version: newVersion
+          });
+          context.publish(this.channelPrefix + query.type + '/' + query.id + '/' + versionField, {
+            type: 'update',
+            value: newVersion,
+            version: newVersion
+          });
+        } else {
+          context.publish(this.channelPrefix + query.type + '/' + query.id + '/' + query.field, {
+            type: 'delete'
+          });
+        }
+        this._getAffectedComputedFields(query.type, [query.field]).forEach((field) => {
+          let message = {
+            type: 'update',
+            value: this._computeField(query.type, field, result)
+          };
+          if (versionField) {
+            message.version = newVersion;
+          }
+          context.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field, message);
         });
       } else {
         let deletedFields;
@@ -854,45 +2537,69 @@ SCCRUDRethink.prototype.delete = function (query, callback, socket) {
         if (modelSchema && modelSchema.fields) {
           deletedFields = modelSchema.fields;
         } else {
-          deletedFields = result;
+          deletedFields = oldResource;
         }
-        Object.keys(deletedFields || {}).forEach((field) => {
-          this.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field, {
+        Object.keys(deletedFields || {}).concat(Object.keys(this._getComputedFields(query.type))).forEach((field) => {
+          context.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field, {
             type: 'delete'
           });
         });
 
         oldAffectedViewData.forEach((viewData) => {
-          this.publish(this._getViewChannelName(viewData.view, viewData.params, query.type), {
-            type: 'delete',
-            id: query.id
-          });
+          if (this._isAggregateView(query.type, viewData.view)) {
+            return;
+          }
+          if (viewData.index != null) {
+            let message = this._createPositionMessage('delete', query.id, viewData.index, -1);
+            this._publishPositionMessage(context, query.type, viewData.view, viewData.params, message);
+          } else {
+            context.publish(this._getViewChannelName(viewData.view, viewData.params, query.type), {
+              type: 'delete',
+              id: query.id
+            });
+          }
         });
       }
     }
-    callback && callback(err);
+    if (err) {
+      callback && callback(err);
+    } else {
+      let newResource = null;
+      if (query.field || this._isSoftDeleteEnabled(query.type)) {
+        // The document still exists after a field deletion or a soft deletion.
+        newResource = result;
+      }
+      callback && callback(null, undefined, {
+        action: 'delete',
+        type: query.type,
+        id: query.id,
+        oldResource: oldResource,
+        newResource: newResource,
+        dependentChanges: dependentChanges
+      });
+    }
   };
 
-  let ModelClass = this.models[query.type];
-  if (ModelClass == null) {
-    let error = new Error('The ' + query.type + ' model type is not supported - It is not part of the schema');
-    error.name = 'CRUDInvalidModelType';
+  if (this.schema[query.type] == null) {
+    let error = new errors.CRUDInvalidModelType('The ' + query.type + ' model type is not supported - It is not part of the schema', errors.getQueryDetails(query));
     deletedHandler(error);
   } else {
     let tasks = [];
 
     if (query.id == null) {
-      let error = new Error('Cannot delete an entire collection - ID must be provided');
-      error.name = 'CRUDInvalidParams';
+      let error = new errors.CRUDInvalidParams('Cannot delete an entire collection - ID must be provided', errors.getQueryDetails(query));
       deletedHandler(error);
     } else {
-      let modelInstance;
       tasks.push((cb) => {
-        ModelClass.get(query.id).run().then((instance) => {
-          modelInstance = instance;
-          let oldAffectedViewData = this.getQueryAffectedViews(query, modelInstance);
-          cb(null, oldAffectedViewData);
-        }).error(cb);
+        this._getResource(query.type, query.id, (err, resource) => {
+          if (err) {
+            cb(err);
+            return;
+          }
+          oldResource = resource;
+          oldAffectedViewData = this.getQueryAffectedViews(query, oldResource);
+          cb();
+        });
       });
 
       // If socket does not exist, then the CRUD operation comes from the server-side
@@ -907,43 +2614,99 @@ SCCRUDRethink.prototype.delete = function (query, callback, socket) {
       }
 
       let filterRequest = {
-        r: this.thinky.r,
+        r: this.adapter.r,
         socket: socket,
         action: 'delete',
         authToken: socket && socket.authToken,
         query: query
       };
 
+      // The positions of the document are only looked up once the post filter has allowed the deletion.
+      let applyPostFilterAndAddViewPositions = (cb) => {
+        filterRequest.resource = oldResource;
+        applyPostFilter(filterRequest, (err) => {
+          if (err) {
+            cb(err);
+          } else {
+            this._addViewPositions(query.type, query.id, oldAffectedViewData, cb);
+          }
+        });
+      };
+
+      let writeOptions = this._getWriteOptions(query);
+      let isSoftDelete = query.field == null && this._isSoftDeleteEnabled(query.type);
+
       if (query.field == null) {
         tasks.push((cb) => {
-          filterRequest.resource = modelInstance;
-          applyPostFilter(filterRequest, (err) => {
+          async.series([
+            (cb) => applyPostFilterAndAddViewPositions(cb),
+            (cb) => this._runBeforeHook('beforeDelete', filterRequest, cb)
+          ], (err) => {
             if (err) {
               cb(err);
             } else {
-              modelInstance.delete(cb);
+              this._applyDeleteRules(query, context, (err, changes, applyDependentChanges) => {
+                if (err) {
+                  cb(err);
+                  return;
+                }
+                dependentChanges = changes;
+                let deleteCallback = (err, result) => {
+                  if (err) {
+                    // Undo the changes which were made to dependent documents.
+                    this._revertChanges(dependentChanges, () => {
+                      cb(err);
+                    });
+                  } else {
+                    applyDependentChanges();
+                    cb(null, result);
+                  }
+                };
+                if (isSoftDelete) {
+                  let deletionMarkers = {};
+                  deletionMarkers[softDelete.deletedAtField] = new Date();
+                  deletionMarkers[softDelete.deletedByField] = this.audit.getSubject(socket && socket.authToken);
+                  this.adapter.patch(query.type, query.id, deletionMarkers, writeOptions, deleteCallback);
+                } else {
+                  this.adapter.delete(query.type, query.id, writeOptions, deleteCallback);
+                }
+              });
             }
           });
         });
       } else {
+        tasks.push(applyPostFilterAndAddViewPositions);
+
         tasks.push((cb) => {
-          filterRequest.resource = modelInstance;
-          applyPostFilter(filterRequest, (err) => {
+          this._applyFieldFilter(socket, {
+            access: 'write',
+            query: query,
+            resource: oldResource,
+            fields: [query.field]
+          }, (err) => {
             if (err) {
               cb(err);
-            } else {
-              delete modelInstance[query.field];
-              modelInstance.save(cb);
+              return;
             }
+            this._runBeforeHook('beforeDelete', filterRequest, (err) => {
+              if (err) {
+                cb(err);
+              } else {
+                this.adapter.deleteField(query.type, query.id, query.field, writeOptions, cb);
+              }
+            });
           });
         });
       }
       if (tasks.length) {
         async.series(tasks, (err, results) => {
           if (err) {
-            deletedHandler(err);
+            deletedHandler(this._normalizeWriteError(query, err));
           } else {
-            deletedHandler(null, results[0], results[1]);
+            // The delete operation is always the last task.
+            this._addViewAggregates(query.type, oldAffectedViewData, () => {
+              deletedHandler(null, oldAffectedViewData, results[results.length - 1]);
+            });
           }
         });
       }
@@ -951,28 +2714,463 @@ SCCRUDRethink.prototype.delete = function (query, callback, socket) {
   }
 };
 
+// Restore a soft-deleted document. This will notify affected views so that
+// the document can be added back to them in real-time.
+SCCRUDRethink.prototype.restore = function (query, callback, socket) {
+  if (!callback && this.options.promises) {
+    return callWithPromise((cb) => this.restore(query, cb, socket));
+  }
+  callback = this._measureOperation('restore', query, callback);
+  this._restore(query, (err, result, change) => {
+    if (!err) {
+      this._auditChange(change, socket);
+      this._runAfterHook(query, change, socket);
+    }
+    callback && callback(err);
+  }, socket, this._createOperationContext());
+};
+
+SCCRUDRethink.prototype._restore = function (query, callback, socket, context) {
+  let validationError = this._validateQuery(query, 'restore');
+  if (validationError) {
+    callback && callback(validationError);
+    return;
+  }
+
+  let oldResource;
+
+  let restoredHandler = (err, result, affectedViewData) => {
+    if (err) {
+      this._emitOperationWarning(err);
+      callback && callback(err);
+      return;
+    }
+    let resourceChannelName = this._getResourceChannelName(query);
+    context.publish(resourceChannelName);
+
+    let versionField = this._getVersionField(query.type);
+    let resourceWithComputedFields = this._addComputedFields(query.type, result);
+    Object.keys(resourceWithComputedFields).forEach((field) => {
+      let message = {
+        type: 'update',
+        value: resourceWithComputedFields[field]
+      };
+      if (versionField) {
+        message.version = result[versionField];
+      }
+      context.publish(this.channelPrefix + query.type + '/' + query.id + '/' + field, message);
+    });
+
+    this._publishViewAggregates(context, query.type, affectedViewData);
+
+    affectedViewData.forEach((viewData) => {
+      if (this._isAggregateView(query.type, viewData.view)) {
+        return;
+      }
+      if (viewData.index != null) {
+        let message = this._createPositionMessage('update', query.id, -1, viewData.index);
+        this._publishPositionMessage(context, query.type, viewData.view, viewData.params, message);
+      } else {
+        context.publish(this._getViewChannelName(viewData.view, viewData.params, query.type), {
+          type: 'update',
+          action: 'add',
+          id: query.id
+        });
+      }
+    });
+
+    callback && callback(null, undefined, {
+      action: 'restore',
+      type: query.type,
+      id: query.id,
+      oldResource: oldResource,
+      newResource: result
+    });
+  };
+
+  if (!this._isSoftDeleteEnabled(query.type)) {
+    let error = new errors.CRUDInvalidOperation(`Cannot restore a resource of the ${query.type} model type - It does not have softDelete enabled`, errors.getQueryDetails(query));
+    restoredHandler(error);
+    return;
+  }
+  if (query.id == null || query.field != null) {
+    let error = new errors.CRUDInvalidParams('Cannot restore a document without specifying an id - Restoring individual fields is not supported', errors.getQueryDetails(query));
+    restoredHandler(error);
+    return;
+  }
+
+  // If socket does not exist, then the CRUD operation comes from the server-side
+  // and we don't need to pass it through a filter.
+  let applyPostFilter;
+  if (socket && this.filter) {
+    applyPostFilter = this.filter.applyPostFilter.bind(this.filter);
+  } else {
+    applyPostFilter = (req, next) => {
+      next();
+    };
+  }
+
+  let filterRequest = {
+    r: this.adapter.r,
+    socket: socket,
+    action: 'restore',
+    authToken: socket && socket.authToken,
+    query: query
+  };
+
+  let tasks = [
+    (cb) => {
+      this.adapter.get(query.type, query.id, (err, resource) => {
+        if (err) {
+          cb(this._normalizeReadError(query.type, query.id, err));
+          return;
+        }
+        if (!softDelete.isDeleted(resource)) {
+          let error = new errors.CRUDInvalidOperation(`Cannot restore the ${query.type} resource with ID ${query.id} - It has not been deleted`, errors.getQueryDetails(query));
+          cb(error);
+          return;
+        }
+        oldResource = resource;
+        cb();
+      });
+    },
+    (cb) => {
+      filterRequest.resource = oldResource;
+      applyPostFilter(filterRequest, cb);
+    },
+    (cb) => this._runBeforeHook('beforeRestore', filterRequest, cb),
+    (cb) => {
+      let deletionMarkers = {};
+      deletionMarkers[softDelete.deletedAtField] = null;
+      deletionMarkers[softDelete.deletedByField] = null;
+      this.adapter.patch(query.type, query.id, deletionMarkers, this._getWriteOptions(query), cb);
+    }
+  ];
+
+  async.series(tasks, (err, results) => {
+    if (err) {
+      restoredHandler(this._normalizeWriteError(query, err));
+    } else {
+      let result = results[results.length - 1];
+      let affectedViewData = this.getQueryAffectedViews({type: query.type, id: query.id}, result);
+      async.series([
+        (cb) => this._addViewPositions(query.type, query.id, affectedViewData, cb),
+        (cb) => this._addViewAggregates(query.type, affectedViewData, cb)
+      ], () => {
+        restoredHandler(null, result, affectedViewData);
+      });
+    }
+  });
+};
+
+// Permanently remove the soft-deleted documents of a model which were deleted more than
+// retentionPeriod milliseconds ago. The query has the form {type, retentionPeriod}; if
+// retentionPeriod is not specified, the retentionPeriod of the model in the schema is used.
+// Calls back with the ids of the documents which were removed.
+SCCRUDRethink.prototype.purge = function (query, callback) {
+  if (!callback && this.options.promises) {
+    return callWithPromise((cb) => this.purge(query, cb));
+  }
+  let validationError = this._validatePurgeQuery(query);
+  if (validationError) {
+    callback && callback(validationError);
+    return;
+  }
+  let retentionPeriod = query.retentionPeriod;
+  if (retentionPeriod == null) {
+    retentionPeriod = this.schema[query.type].retentionPeriod;
+  }
+  let deletedBefore = new Date(Date.now() - retentionPeriod);
+
+  this.adapter.purgeDeleted(query.type, deletedBefore, (err, ids) => {
+    if (err) {
+      this.logger.error(err);
+      let error = new errors.CRUDPurgeError(`Failed to purge deleted resources of the ${query.type} model type`, errors.getQueryDetails(query));
+      callback && callback(error);
+      return;
+    }
+    ids.forEach((id) => {
+      // This will cause the resource cache to clear itself.
+      this.publish(this._getResourceChannelName({type: query.type, id: id}));
+    });
+    callback && callback(null, ids);
+  });
+};
+
+// Perform an ordered list of create, update and delete operations.
+// Each operation is an object of the form {action: 'create', query: {...}}.
+// The operations are written one by one; if any operation fails, the operations which
+// were already applied are reverted (by writing the old documents back) and the batch
+// fails with a list of per-operation errors. This is not a transaction: other readers and
+// changefeeds can see the intermediate states and a revert can fail, in which case the
+// batch error lists the documents which were left changed. Realtime notifications for the
+// resources and views which were affected by the batch are only published once every
+// operation has succeeded.
+SCCRUDRethink.prototype.batch = function (operations, callback, socket) {
+  if (!callback && this.options.promises) {
+    return callWithPromise((cb) => this.batch(operations, cb, socket));
+  }
+  // A batch can span several model types so it is recorded without one.
+  callback = this._measureOperation('batch', null, callback);
+  let validationError = this._validateBatch(operations);
+  if (validationError) {
+    callback && callback(validationError);
+    return;
+  }
+
+  let context = this._createOperationContext({deferPublish: true});
+  let operationHandlers = {
+    create: this._create.bind(this),
+    update: this._update.bind(this),
+    delete: this._delete.bind(this),
+    restore: this._restore.bind(this),
+    upsert: this._upsert.bind(this)
+  };
+  let results = [];
+  let changes = [];
+  let failedIndex = null;
+  let operationError = null;
+
+  async.eachOfSeries(operations, (operation, index, cb) => {
+    operationHandlers[operation.action](operation.query, (err, result, change) => {
+      if (err) {
+        failedIndex = index;
+        operationError = err;
+        cb(err);
+      } else {
+        results[index] = result === undefined ? null : result;
+        changes.push(change);
+        cb();
+      }
+    }, socket, context);
+  }, (err) => {
+    if (err) {
+      this._revertChanges(changes, (err, unrevertedChanges) => {
+        let operationErrors = operations.map((operation, index) => {
+          return index === failedIndex ? operationError : null;
+        });
+        let error = new errors.CRUDBatchError(`Failed to execute batch - The ${operations[failedIndex].action} operation at index ${failedIndex} failed`, {
+          action: operations[failedIndex].action,
+          failedIndex: failedIndex
+        });
+        error.failedIndex = failedIndex;
+        error.errors = operationErrors;
+        if (unrevertedChanges.length) {
+          error.details.unrevertedChanges = unrevertedChanges;
+        }
+        callback && callback(error);
+      });
+    } else {
+      this._flushOperationContext(context);
+      changes.forEach((change, index) => {
+        this._auditChange(change, socket);
+        this._runAfterHook(operations[index].query, change, socket);
+      });
+      callback && callback(null, results);
+    }
+  });
+};
+
+// Get a list of changes which includes the changes made to dependent documents
+// (because of onDelete rules) in the order in which they were applied.
+SCCRUDRethink.prototype._flattenChanges = function (changes) {
+  let flatChanges = [];
+  changes.forEach((change) => {
+    if (change.dependentChanges) {
+      flatChanges = flatChanges.concat(this._flattenChanges(change.dependentChanges));
+    }
+    flatChanges.push(change);
+  });
+  return flatChanges;
+};
+
+// Undo changes made by a partially executed batch - In reverse order.
+// Calls back with a list of {type, id} objects for the changes which could not be reverted.
+SCCRUDRethink.prototype._revertChanges = function (changes, callback) {
+  let reversedChanges = this._flattenChanges(changes).reverse();
+  let unrevertedChanges = [];
+
+  async.eachSeries(reversedChanges, (change, cb) => {
+    let revert;
+    if (change.oldResource == null) {
+      revert = this.adapter.delete.bind(this.adapter, change.type, change.id, {});
+    } else if (change.newResource == null) {
+      revert = this.adapter.insert.bind(this.adapter, change.type, change.oldResource);
+    } else {
+      revert = this.adapter.replace.bind(this.adapter, change.type, change.id, change.oldResource);
+    }
+    revert((err) => {
+      if (err) {
+        let error = new errors.CRUDRevertError(`Failed to revert changes to the ${change.type} resource with ID ${change.id}`, {
+          type: change.type,
+          id: change.id
+        });
+        this.logger.error(err);
+        this.emit('warning', error);
+        unrevertedChanges.push({
+          type: change.type,
+          id: change.id
+        });
+      }
+      // The cache may have picked up the intermediate state of the resource.
+      this.cache.clear({
+        type: change.type,
+        id: change.id
+      });
+      cb();
+    });
+  }, () => {
+    callback(null, unrevertedChanges);
+  });
+};
+
+// Read the audit records of a resource, most recent first.
+// The query has the form {type, id, pageSize, after, before}.
+SCCRUDRethink.prototype.readHistory = function (query, callback, socket) {
+  if (!callback && this.options.promises) {
+    return callWithPromise((cb) => this.readHistory(query, cb, socket));
+  }
+  callback = this._measureOperation('history', query, callback);
+  let validationError = this._validateHistoryQuery(query);
+  if (validationError) {
+    callback && callback(validationError);
+    return;
+  }
+  let pageSize = query.pageSize || this.options.defaultPageSize;
+  let pageQuery = {
+    after: query.after,
+    before: query.before,
+    limit: pageSize + 1
+  };
+  this._applyHistoryPostFilter(query, socket, (err, currentResource) => {
+    if (err) {
+      callback && callback(err);
+      return;
+    }
+    this.audit.readHistory(query, pageQuery, (err, records) => {
+      if (err) {
+        this.logger.error(err);
+        callback && callback(new errors.CRUDDatabaseError(`Failed to read the history of the ${query.type} resource with ID ${query.id}`, errors.getQueryDetails(query)));
+        return;
+      }
+      let allowedRecords = records.map((record) => {
+        return this._removeBlockedHistoryFields(socket, query, currentResource, record);
+      });
+      let auditView = this.audit.getSchema().views[this.audit.historyViewName];
+      callback && callback(null, this._createPage(query, allowedRecords, pageSize, auditView.orderKey));
+    });
+  });
+};
+
+// The history of a resource is subject to the same post filter as the resource itself; the filter is
+// called with action 'history' and the current document (null if the document no longer exists).
+SCCRUDRethink.prototype._applyHistoryPostFilter = function (query, socket, callback) {
+  if (!socket || !this.filter) {
+    callback(null, null);
+    return;
+  }
+  this.adapter.get(query.type, query.id, (err, resource) => {
+    if (err && err.name !== 'DocumentNotFoundError') {
+      this.logger.error(err);
+      callback(new errors.CRUDDatabaseError(`Failed to read the history of the ${query.type} resource with ID ${query.id}`, errors.getQueryDetails(query)));
+      return;
+    }
+    let currentResource = err ? null : resource;
+    this.filter.applyPostFilter({
+      socket: socket,
+      action: 'history',
+      query: query,
+      resource: currentResource
+    }, (err) => {
+      callback(err, currentResource);
+    });
+  });
+};
+
+// Remove the fields which the socket is not allowed to read from an audit record. Access rules are checked
+// against the current document or, if it no longer exists, against the values which the record holds.
+// Records store missing values as null so the values of a deleted document are the before values of its delete record.
+SCCRUDRethink.prototype._removeBlockedHistoryFields = function (socket, query, currentResource, record) {
+  if (!socket || !this.filter || !record.fields) {
+    return record;
+  }
+  let resource = currentResource;
+  if (!resource) {
+    resource = {id: query.id};
+    Object.keys(record.fields).forEach((field) => {
+      let fieldChange = record.fields[field];
+      resource[field] = record.action === 'delete' ? fieldChange.before : fieldChange.after;
+    });
+  }
+  let blockedFields = this.filter.getBlockedFields({
+    socket: socket,
+    access: 'read',
+    query: query,
+    resource: resource,
+    fields: Object.keys(record.fields)
+  });
+  if (!blockedFields.length) {
+    return record;
+  }
+  let allowedFields = Object.assign({}, record.fields);
+  blockedFields.forEach((field) => {
+    delete allowedFields[field];
+  });
+  return Object.assign({}, record, {fields: allowedFields});
+};
+
 SCCRUDRethink.prototype._attachSocket = function (socket) {
+  // If the client did not ask for a response, there is no promise to settle.
+  // Errors are serialized so that clients only receive their public properties.
+  let getResponder = (callback) => {
+    if (!callback) {
+      return () => {};
+    }
+    return (err, result) => {
+      if (err) {
+        if (!errors.isCRUDError(err)) {
+          this.logger.error(err);
+        }
+        callback(errors.serializeError(err));
+      } else {
+        callback(null, result);
+      }
+    };
+  };
   socket.on('create', (query, callback) => {
-    this.create(query, callback, socket);
+    this.create(query, getResponder(callback), socket);
   });
   socket.on('read', (query, callback) => {
-    this.read(query, callback, socket);
+    this.read(query, getResponder(callback), socket);
   });
   socket.on('update', (query, callback) => {
-    this.update(query, callback, socket);
+    this.update(query, getResponder(callback), socket);
   });
   socket.on('delete', (query, callback) => {
-    this.delete(query, callback, socket);
+    this.delete(query, getResponder(callback), socket);
+  });
+  socket.on('restore', (query, callback) => {
+    this.restore(query, getResponder(callback), socket);
+  });
+  socket.on('upsert', (query, callback) => {
+    this.upsert(query, getResponder(callback), socket);
+  });
+  socket.on('batch', (operations, callback) => {
+    this.batch(operations, getResponder(callback), socket);
+  });
+  socket.on('history', (query, callback) => {
+    this.readHistory(query, getResponder(callback), socket);
   });
 };
 
-SCCRUDRethink.prototype._validateRequiredViewParams = function (viewParams) {
+SCCRUDRethink.prototype._validateRequiredViewParams = function (query) {
+  let viewParams = query.viewParams;
   if (viewParams === undefined || viewParams === null) {
-    return new Error(`Invalid view query - The view ${query.view} under the type ${query.type} expects viewParams but it was null or undefined`);
+    return new errors.CRUDInvalidQuery(`Invalid view query - The view ${query.view} under the type ${query.type} expects viewParams but it was null or undefined`, errors.getQueryDetails(query));
   }
   let viewParamsType = typeof viewParams;
   if (viewParamsType !== 'object') {
-    return new Error(`Invalid view query - The view ${query.view} under the type ${query.type} expects viewParams to be an object instead of ${viewParamsType}`);
+    return new errors.CRUDInvalidQuery(`Invalid view query - The view ${query.view} under the type ${query.type} expects viewParams to be an object instead of ${viewParamsType}`, errors.getQueryDetails(query));
   }
   return null;
 };
@@ -980,10 +3178,10 @@ SCCRUDRethink.prototype._validateRequiredViewParams = function (viewParams) {
 SCCRUDRethink.prototype._validateViewQuery = function (query) {
   let viewSchema = this._getView(query.type, query.view);
   if (!viewSchema) {
-    return new Error(`Invalid view query - The view ${query.view} was not defined in the schema under the type ${query.type}`);
+    return new errors.CRUDInvalidView(`Invalid view query - The view ${query.view} was not defined in the schema under the type ${query.type}`, errors.getQueryDetails(query));
   }
   if (viewSchema.paramFields && viewSchema.paramFields.length > 0) {
-    let viewParamsFormatError = this._validateRequiredViewParams(query.viewParams)
+    let viewParamsFormatError = this._validateRequiredViewParams(query);
     if (viewParamsFormatError) {
       return viewParamsFormatError;
     }
@@ -994,11 +3192,13 @@ SCCRUDRethink.prototype._validateViewQuery = function (query) {
       }
     });
     if (missingFields.length > 0) {
-      return new Error(`Invalid view query - The view ${query.view} under the type ${query.type} requires additional fields to meet paramFields requirements. Missing: ${missingFields.join(', ')}`);
+      return new errors.CRUDMissingViewParams(`Invalid view query - The view ${query.view} under the type ${query.type} requires additional fields to meet paramFields requirements. Missing: ${missingFields.join(', ')}`, errors.getQueryDetails(query, {
+        missingParams: missingFields
+      }));
     }
   }
   if (viewSchema.primaryKeys && viewSchema.primaryKeys.length > 0) {
-    let viewParamsFormatError = this._validateRequiredViewParams(query.viewParams)
+    let viewParamsFormatError = this._validateRequiredViewParams(query);
     if (viewParamsFormatError) {
       return viewParamsFormatError;
     }
@@ -1009,42 +3209,171 @@ SCCRUDRethink.prototype._validateViewQuery = function (query) {
       }
     });
     if (missingFields.length > 0) {
-      return new Error(`Invalid view query - The view ${query.view} under the type ${query.type} requires additional fields to meet primaryKeys requirements. Missing: ${missingFields.join(', ')}`);
+      return new errors.CRUDMissingViewParams(`Invalid view query - The view ${query.view} under the type ${query.type} requires additional fields to meet primaryKeys requirements. Missing: ${missingFields.join(', ')}`, errors.getQueryDetails(query, {
+        missingParams: missingFields
+      }));
+    }
+  }
+  return null;
+};
+
+SCCRUDRethink.prototype._validatePageQuery = function (query) {
+  if (query.after != null && query.before != null) {
+    return new errors.CRUDInvalidQuery(`Invalid page query - The query cannot have both an after and a before cursor`, errors.getQueryDetails(query));
+  }
+  if (query.id != null) {
+    return new errors.CRUDInvalidQuery(`Invalid page query - Cursors can only be used when reading a view, not a single resource`, errors.getQueryDetails(query));
+  }
+  if (query.offset) {
+    return new errors.CRUDInvalidQuery(`Invalid page query - The query cannot have both a cursor and an offset`, errors.getQueryDetails(query));
+  }
+  let viewSchema = this._getView(query.type, query.view) || {};
+  if (!viewSchema.orderKey) {
+    return new errors.CRUDInvalidQuery(`Invalid page query - The view ${query.view} under the type ${query.type} does not support cursors because it does not have an orderKey`, errors.getQueryDetails(query));
+  }
+  let pageCursor = query.after != null ? query.after : query.before;
+  if (!cursor.decodeCursor(pageCursor)) {
+    return new errors.CRUDInvalidCursor(`Invalid page query - The cursor ${pageCursor} is malformed`, errors.getQueryDetails(query));
+  }
+  return null;
+};
+
+SCCRUDRethink.prototype._validateHistoryQuery = function (query) {
+  let error;
+  if (query == null || typeof query !== 'object') {
+    error = new errors.CRUDInvalidParams('Invalid history query - The query must be an object', errors.getQueryDetails(query));
+  } else if (!this.schema[query.type]) {
+    error = new errors.CRUDInvalidParams(`Invalid history query - The query type ${query.type} was not defined on the schema`, errors.getQueryDetails(query));
+  } else if (!this._isAudited(query.type)) {
+    error = new errors.CRUDInvalidParams(`Invalid history query - The ${query.type} model type is not audited`, errors.getQueryDetails(query));
+  } else if (typeof query.id !== 'string') {
+    error = new errors.CRUDInvalidParams(`Invalid history query - The resource id must be a string instead of ${typeof query.id}`, errors.getQueryDetails(query));
+  } else if (query.after != null && query.before != null) {
+    error = new errors.CRUDInvalidParams(`Invalid history query - The query cannot have both an after and a before cursor`, errors.getQueryDetails(query));
+  } else if ((query.after != null || query.before != null) && !cursor.decodeCursor(query.after != null ? query.after : query.before)) {
+    error = new errors.CRUDInvalidParams(`Invalid history query - The cursor is malformed`, errors.getQueryDetails(query));
+  }
+  return error || null;
+};
+
+SCCRUDRethink.prototype._validatePurgeQuery = function (query) {
+  let error;
+  if (query == null || typeof query !== 'object') {
+    error = new errors.CRUDInvalidParams('Invalid purge query - The query must be an object', errors.getQueryDetails(query));
+  } else if (!this.schema[query.type]) {
+    error = new errors.CRUDInvalidParams(`Invalid purge query - The query type ${query.type} was not defined on the schema`, errors.getQueryDetails(query));
+  } else if (!this._isSoftDeleteEnabled(query.type)) {
+    error = new errors.CRUDInvalidParams(`Invalid purge query - The ${query.type} model type does not have softDelete enabled`, errors.getQueryDetails(query));
+  } else {
+    let retentionPeriod = query.retentionPeriod == null ? this.schema[query.type].retentionPeriod : query.retentionPeriod;
+    if (typeof retentionPeriod !== 'number' || retentionPeriod < 0) {
+      error = new errors.CRUDInvalidParams(`Invalid purge query - The retentionPeriod must be a non-negative number of milliseconds instead of ${retentionPeriod}`, errors.getQueryDetails(query));
+    }
+  }
+  return error || null;
+};
+
+SCCRUDRethink.prototype._validateBatch = function (operations) {
+  if (!Array.isArray(operations)) {
+    return new errors.CRUDInvalidParams(`Invalid batch - The operations must be an array instead of ${typeof operations}`);
+  }
+  if (operations.length > this.options.maxBatchOperations) {
+    return new errors.CRUDInvalidParams(`Invalid batch - A batch cannot have more than ${this.options.maxBatchOperations} operations`);
+  }
+  let hasErrors = false;
+  let operationErrors = operations.map((operation) => {
+    let operationError;
+    if (operation == null || typeof operation !== 'object') {
+      operationError = new errors.CRUDInvalidParams('Invalid batch operation - The operation must be an object');
+    } else if (operation.action !== 'create' && operation.action !== 'update' && operation.action !== 'delete' && operation.action !== 'restore' && operation.action !== 'upsert') {
+      operationError = new errors.CRUDInvalidParams(`Invalid batch operation - The action ${operation.action} is not supported - Must be create, update, delete, restore or upsert`, {
+        action: operation.action
+      });
+    } else {
+      operationError = this._validateQuery(operation.query, operation.action);
+    }
+    if (operationError) {
+      hasErrors = true;
+    }
+    return operationError || null;
+  });
+  if (hasErrors) {
+    let error = new errors.CRUDInvalidParams('Invalid batch - One or more of the operations are invalid');
+    error.errors = operationErrors;
+    return error;
+  }
+  return null;
+};
+
+// Check that a list of fields only contains fields which are declared in the schema.
+SCCRUDRethink.prototype._validateFieldList = function (query, fields, propertyName) {
+  if (!Array.isArray(fields)) {
+    return new errors.CRUDInvalidQuery(`Invalid ${propertyName} query - The ${propertyName} property must be an array of field names instead of ${typeof fields}`, errors.getQueryDetails(query));
+  }
+  let modelSchema = this.schema[query.type];
+  let invalidFields = fields.filter((field) => {
+    if (typeof field !== 'string') {
+      return true;
     }
+    if (!modelSchema.fields || field === 'id' || this._isComputedField(query.type, field)) {
+      return false;
+    }
+    return !modelSchema.fields.hasOwnProperty(field) && field !== this._getVersionField(query.type);
+  });
+  if (invalidFields.length) {
+    return new errors.CRUDInvalidQuery(`Invalid ${propertyName} query - The following fields are not defined in the schema under the type ${query.type}: ${invalidFields.join(', ')}`, errors.getQueryDetails(query));
   }
   return null;
 };
 
-SCCRUDRethink.prototype._validateQuery = function (query) {
+SCCRUDRethink.prototype._validateQuery = function (query, action) {
   if (query === undefined || query === null) {
-    return new Error(`Invalid query - The query was null or undefined`);
+    return new errors.CRUDInvalidQuery(`Invalid query - The query was null or undefined`, errors.getQueryDetails(query));
   }
   let queryType = typeof query;
   if (queryType !== 'object') {
-    return new Error(`Invalid query - The query must be an object instead of ${queryType}`);
+    return new errors.CRUDInvalidQuery(`Invalid query - The query must be an object instead of ${queryType}`, errors.getQueryDetails(query));
   }
   if (query.type === undefined || query.type === null) {
-    return new Error('Invalid query - The query type cannot be null or undefined');
+    return new errors.CRUDInvalidQuery('Invalid query - The query type cannot be null or undefined', errors.getQueryDetails(query));
   }
   if (!this.schema[query.type]) {
-    return new Error(`Invalid query - The query type ${query.type} was not defined on the schema`);
+    return new errors.CRUDInvalidModelType(`Invalid query - The query type ${query.type} was not defined on the schema`, errors.getQueryDetails(query));
   }
   let fieldIsSet = query.field !== undefined && query.field !== null;
   let idIsSet = query.id !== undefined && query.id !== null;
   if (fieldIsSet) {
     let fieldType = typeof query.field;
     if (fieldType !== 'string') {
-      return new Error(`Invalid field query - The field property must be a string instead of ${fieldType}`);
-    }
-    if (!idIsSet) {
-      return new Error(`Invalid field query - The query must have an id property`);
+      return new errors.CRUDInvalidQuery(`Invalid field query - The field property must be a string instead of ${fieldType}`, errors.getQueryDetails(query));
     }
   }
   if (idIsSet) {
     let idType = typeof query.id;
     if (idType !== 'string') {
-      return new Error(`Invalid resource query - The resource id must be a string instead of ${idType}`);
+      return new errors.CRUDInvalidQuery(`Invalid resource query - The resource id must be a string instead of ${idType}`, errors.getQueryDetails(query));
+    }
+  }
+  let idsIsSet = query.ids !== undefined && query.ids !== null;
+  if (idsIsSet) {
+    if (!Array.isArray(query.ids)) {
+      return new errors.CRUDInvalidQuery(`Invalid bulk query - The ids property must be an array instead of ${typeof query.ids}`, errors.getQueryDetails(query));
+    }
+    if (idIsSet || (query.view !== undefined && query.view !== null)) {
+      return new errors.CRUDInvalidQuery(`Invalid bulk query - The query cannot have an ids property together with an id or a view`, errors.getQueryDetails(query));
     }
+    if (query.ids.length > this.options.maxBulkReadIds) {
+      return new errors.CRUDInvalidQuery(`Invalid bulk query - The ids property cannot have more than ${this.options.maxBulkReadIds} ids`, errors.getQueryDetails(query));
+    }
+    let invalidIds = query.ids.filter((id) => {
+      return typeof id !== 'string';
+    });
+    if (invalidIds.length) {
+      return new errors.CRUDInvalidQuery(`Invalid bulk query - Each resource id must be a string`, errors.getQueryDetails(query));
+    }
+  }
+  if (fieldIsSet && !idIsSet && !idsIsSet) {
+    return new errors.CRUDInvalidQuery(`Invalid field query - The query must have an id property`, errors.getQueryDetails(query));
   }
   let viewIsSet = query.view !== undefined && query.view !== null;
   if (viewIsSet) {
@@ -1053,11 +3382,92 @@ SCCRUDRethink.prototype._validateQuery = function (query) {
       return viewQueryError;
     }
   }
+  let opIsSet = query.op !== undefined && query.op !== null;
+  if (opIsSet) {
+    if (!fieldOperations.isOperation(query.op)) {
+      return new errors.CRUDInvalidQuery(`Invalid query - The op ${query.op} is not supported - Must be one of ${fieldOperations.operationNames.join(', ')}`, errors.getQueryDetails(query));
+    }
+    if (action !== 'update') {
+      return new errors.CRUDInvalidQuery(`Invalid query - The op property is only supported by update queries`, errors.getQueryDetails(query));
+    }
+    if (!fieldIsSet) {
+      return new errors.CRUDInvalidQuery(`Invalid query - The ${query.op} op can only be applied to a field so the query must have a field property`, errors.getQueryDetails(query));
+    }
+  }
+  let expectedVersionIsSet = query.expectedVersion !== undefined && query.expectedVersion !== null;
+  if (expectedVersionIsSet) {
+    let expectedVersionType = typeof query.expectedVersion;
+    if (expectedVersionType !== 'number') {
+      return new errors.CRUDInvalidQuery(`Invalid query - The expectedVersion must be a number instead of ${expectedVersionType}`, errors.getQueryDetails(query));
+    }
+    if (!this._getVersionField(query.type)) {
+      return new errors.CRUDInvalidQuery(`Invalid query - The query type ${query.type} is not versioned so it does not support expectedVersion`, errors.getQueryDetails(query));
+    }
+  }
+  let fieldsIsSet = query.fields !== undefined && query.fields !== null;
+  if (fieldsIsSet) {
+    if (!idIsSet && !idsIsSet) {
+      return new errors.CRUDInvalidQuery(`Invalid fields query - The query must have an id or an ids property`, errors.getQueryDetails(query));
+    }
+    if (fieldIsSet) {
+      return new errors.CRUDInvalidQuery(`Invalid fields query - The query cannot have both a field and a fields property`, errors.getQueryDetails(query));
+    }
+    let fieldListError = this._validateFieldList(query, query.fields, 'fields');
+    if (fieldListError) {
+      return fieldListError;
+    }
+  }
+  let expandIsSet = query.expand !== undefined && query.expand !== null && query.expand !== false;
+  if (expandIsSet) {
+    if (!viewIsSet) {
+      return new errors.CRUDInvalidQuery(`Invalid expand query - Only view queries can be expanded`, errors.getQueryDetails(query));
+    }
+    if (query.expand !== true) {
+      let expandFieldsError = this._validateFieldList(query, query.expand, 'expand');
+      if (expandFieldsError) {
+        return expandFieldsError;
+      }
+    }
+  }
+  let includeIsSet = query.include !== undefined && query.include !== null;
+  if (includeIsSet) {
+    if (!Array.isArray(query.include)) {
+      return new errors.CRUDInvalidQuery(`Invalid include query - The include property must be an array of relation names instead of ${typeof query.include}`, errors.getQueryDetails(query));
+    }
+    if (fieldIsSet) {
+      return new errors.CRUDInvalidQuery(`Invalid include query - Related resources cannot be included when reading a single field`, errors.getQueryDetails(query));
+    }
+    let relations = this._getRelations(query.type);
+    let unknownRelations = query.include.filter((relationName) => {
+      return typeof relationName !== 'string' || !relations.hasOwnProperty(relationName);
+    });
+    if (unknownRelations.length) {
+      return new errors.CRUDInvalidQuery(`Invalid include query - The following relations are not defined in the schema under the type ${query.type}: ${unknownRelations.join(', ')}`, errors.getQueryDetails(query));
+    }
+  }
+  if (viewIsSet && !idIsSet && this._isAggregateView(query.type, query.view)) {
+    let hasPageOptions = (query.after !== undefined && query.after !== null) || (query.before !== undefined && query.before !== null) || query.offset != null;
+    if (expandIsSet || (includeIsSet && query.include.length) || hasPageOptions) {
+      return new errors.CRUDInvalidQuery(`Invalid aggregate query - The ${query.view} view of the ${query.type} type is an aggregate view so it cannot be paged, expanded or have related resources included`, errors.getQueryDetails(query));
+    }
+  }
+  let afterIsSet = query.after !== undefined && query.after !== null;
+  let beforeIsSet = query.before !== undefined && query.before !== null;
+  if (afterIsSet || beforeIsSet) {
+    let pageQueryError = this._validatePageQuery(query);
+    if (pageQueryError) {
+      return pageQueryError;
+    }
+  }
   return null;
 };
 
 module.exports.thinky = thinky;
 module.exports.SCCRUDRethink = SCCRUDRethink;
+module.exports.ThinkyAdapter = ThinkyAdapter;
+module.exports.MemoryAdapter = MemoryAdapter;
+module.exports.errors = errors;
+module.exports.field = defineField;
 
 module.exports.attach = function (worker, options) {
   if (options) {
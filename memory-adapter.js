@@ -0,0 +1,454 @@
+const EventEmitter = require('events').EventEmitter;
+const queryTransformer = require('./query-transformer');
+const decodeCursor = require('./cursor').decodeCursor;
+const generateId = require('./id-generator').generateId;
+const softDelete = require('./soft-delete');
+const fieldOperations = require('./field-operations');
+
+/*
+  A storage adapter which keeps all documents in memory.
+  It does not need a database server so it is useful for tests and development.
+  Views are constructed using plain JavaScript functions declared on each view in the schema:
+    filter(resource, viewParams): Return true if the resource belongs to the view.
+    sort(resourceA, resourceB, viewParams): A compare function which orders the view.
+  Field types declared in the schema are not validated by this adapter.
+  See thinky-adapter.js for a description of the storage adapter interface.
+*/
+let MemoryAdapter = function (options) {
+  this.options = Object.assign({}, options);
+  this._tables = {};
+  this._changeEmitter = new EventEmitter();
+  this._changeEmitter.setMaxListeners(0);
+};
+
+let cloneValue = function (value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(cloneValue);
+  }
+  if (value && typeof value === 'object') {
+    let clone = {};
+    Object.keys(value).forEach((key) => {
+      clone[key] = cloneValue(value[key]);
+    });
+    return clone;
+  }
+  return value;
+};
+
+let compareValues = function (valueA, valueB) {
+  if (valueA instanceof Date) {
+    valueA = valueA.getTime();
+  }
+  if (valueB instanceof Date) {
+    valueB = valueB.getTime();
+  }
+  if (valueA === valueB) {
+    return 0;
+  }
+  if (valueA == null) {
+    return -1;
+  }
+  if (valueB == null) {
+    return 1;
+  }
+  return valueA < valueB ? -1 : 1;
+};
+
+let reduceResources = function (aggregate, resources) {
+  if (aggregate.operation === 'count') {
+    return resources.length;
+  }
+  let values = resources.map((resource) => {
+    return resource[aggregate.field];
+  }).filter((value) => {
+    return value != null;
+  });
+  if (aggregate.operation === 'sum') {
+    return values.reduce((sum, value) => {
+      return sum + value;
+    }, 0);
+  }
+  if (!values.length) {
+    return null;
+  }
+  if (aggregate.operation === 'avg') {
+    return values.reduce((sum, value) => {
+      return sum + value;
+    }, 0) / values.length;
+  }
+  let direction = aggregate.operation === 'min' ? -1 : 1;
+  return cloneValue(values.reduce((result, value) => {
+    return direction * compareValues(value, result) > 0 ? value : result;
+  }));
+};
+
+MemoryAdapter.prototype.init = function (options) {
+  this.schema = options.schema;
+  this.r = undefined;
+
+  Object.keys(this.schema).forEach((modelName) => {
+    if (!this._tables[modelName]) {
+      this._tables[modelName] = {};
+    }
+  });
+};
+
+MemoryAdapter.prototype._getTable = function (type) {
+  if (!this._tables[type]) {
+    this._tables[type] = {};
+  }
+  return this._tables[type];
+};
+
+MemoryAdapter.prototype._createNotFoundError = function (type, id) {
+  let error = new Error(`The ${type} document with id ${id} was not found`);
+  error.name = 'DocumentNotFoundError';
+  return error;
+};
+
+MemoryAdapter.prototype._write = function (type, id, newResource) {
+  let table = this._getTable(type);
+  let oldResource = table[id] || null;
+  if (newResource) {
+    table[id] = newResource;
+  } else {
+    delete table[id];
+  }
+  // Every change of the memory adapter is made through sc-crud-rethink.
+  let change = {
+    old_val: cloneValue(oldResource),
+    new_val: cloneValue(newResource),
+    isOwnWrite: true
+  };
+  process.nextTick(() => {
+    this._changeEmitter.emit(type, change);
+  });
+  return cloneValue(newResource);
+};
+
+MemoryAdapter.prototype.get = function (type, id, callback) {
+  let resource = this._getTable(type)[id];
+  process.nextTick(() => {
+    if (resource) {
+      callback(null, cloneValue(resource));
+    } else {
+      callback(this._createNotFoundError(type, id));
+    }
+  });
+};
+
+MemoryAdapter.prototype.getAll = function (type, ids, callback) {
+  let table = this._getTable(type);
+  let resources = [];
+  ids.forEach((id) => {
+    if (table[id]) {
+      resources.push(cloneValue(table[id]));
+    }
+  });
+  process.nextTick(() => {
+    callback(null, resources);
+  });
+};
+
+MemoryAdapter.prototype.insert = function (type, resource, callback) {
+  let newResource = cloneValue(resource);
+  if (newResource.id == null) {
+    newResource.id = generateId();
+  }
+  process.nextTick(() => {
+    if (this._getTable(type)[newResource.id]) {
+      let error = new Error(`A ${type} document with id ${newResource.id} already exists`);
+      error.name = 'DuplicatePrimaryKeyError';
+      callback(error);
+      return;
+    }
+    callback(null, this._write(type, newResource.id, newResource));
+  });
+};
+
+MemoryAdapter.prototype._createVersionConflictError = function (type, id, resource) {
+  let error = new Error(`The ${type} document with id ${id} has been modified by someone else`);
+  error.name = 'VersionConflictError';
+  error.resource = cloneValue(resource);
+  return error;
+};
+
+// Writes are synchronous within a tick so the version check and increment are atomic.
+MemoryAdapter.prototype._versionedWrite = function (type, id, transform, options, callback) {
+  process.nextTick(() => {
+    let resource = this._getTable(type)[id];
+    if (!resource) {
+      callback(this._createNotFoundError(type, id));
+      return;
+    }
+    let newResource;
+    try {
+      newResource = transform(resource);
+    } catch (err) {
+      // The transform rejected the write.
+      callback(err);
+      return;
+    }
+    let versionField = options && options.versionField;
+    if (versionField) {
+      let currentVersion = resource[versionField] || 0;
+      if (options.expectedVersion != null && options.expectedVersion !== currentVersion) {
+        callback(this._createVersionConflictError(type, id, resource));
+        return;
+      }
+      if (newResource) {
+        newResource[versionField] = currentVersion + 1;
+      }
+    }
+    callback(null, this._write(type, id, newResource));
+  });
+};
+
+MemoryAdapter.prototype.patch = function (type, id, fields, options, callback) {
+  this._versionedWrite(type, id, (resource) => {
+    let newResource = Object.assign({}, resource, cloneValue(fields));
+    newResource.id = id;
+    return newResource;
+  }, options, callback);
+};
+
+MemoryAdapter.prototype.replace = function (type, id, resource, callback) {
+  process.nextTick(() => {
+    let newResource = cloneValue(resource);
+    newResource.id = id;
+    callback(null, this._write(type, id, newResource));
+  });
+};
+
+MemoryAdapter.prototype.deleteField = function (type, id, field, options, callback) {
+  this._versionedWrite(type, id, (resource) => {
+    let newResource = Object.assign({}, resource);
+    delete newResource[field];
+    return newResource;
+  }, options, callback);
+};
+
+MemoryAdapter.prototype.applyFieldOperation = function (type, id, field, operation, value, options, callback) {
+  this._versionedWrite(type, id, (resource) => {
+    if (options && options.hasOwnProperty('expectedValue') && !fieldOperations.isValueEqual(resource[field], options.expectedValue)) {
+      let conflictError = this._createVersionConflictError(type, id, resource);
+      conflictError.field = field;
+      throw conflictError;
+    }
+    let operationError = fieldOperations.getOperationError(operation, field, resource[field], value);
+    if (operationError) {
+      let error = new Error(operationError);
+      error.name = 'ValidationError';
+      error.fieldErrors = {};
+      error.fieldErrors[field] = {
+        code: 'invalidType',
+        message: operationError
+      };
+      throw error;
+    }
+    let newResource = Object.assign({}, resource);
+    newResource[field] = fieldOperations.applyOperation(operation, resource[field], cloneValue(value));
+    return newResource;
+  }, options, callback);
+};
+
+MemoryAdapter.prototype.delete = function (type, id, options, callback) {
+  if (!this._getTable(type)[id]) {
+    process.nextTick(() => {
+      callback(null);
+    });
+    return;
+  }
+  this._versionedWrite(type, id, () => {
+    return null;
+  }, options, (err) => {
+    callback(err);
+  });
+};
+
+MemoryAdapter.prototype._getViewResources = function (type, viewName, viewParams) {
+  let viewMetaData = queryTransformer.getViewMetaData(this, type, viewName);
+  let sanitizedViewParams = queryTransformer.sanitizeViewParams(this, type, viewName, viewParams);
+  let table = this._getTable(type);
+
+  let resources = Object.keys(table).map((id) => {
+    return table[id];
+  });
+  if (softDelete.isSoftDeleteEnabled(this.schema, type)) {
+    resources = resources.filter((resource) => {
+      return !softDelete.isDeleted(resource);
+    });
+  }
+  if (viewMetaData.filter) {
+    resources = resources.filter((resource) => {
+      return viewMetaData.filter(resource, sanitizedViewParams);
+    });
+  }
+  if (viewMetaData.sort) {
+    resources.sort((resourceA, resourceB) => {
+      return viewMetaData.sort(resourceA, resourceB, sanitizedViewParams);
+    });
+  }
+  return resources;
+};
+
+// Views which declare an orderKey are sorted by the orderKey and then by id.
+MemoryAdapter.prototype._getViewComparator = function (type, viewName) {
+  let viewMetaData = queryTransformer.getViewMetaData(this, type, viewName);
+  let orderKey = viewMetaData.orderKey;
+  if (!orderKey) {
+    return null;
+  }
+  let direction = viewMetaData.orderDirection === 'desc' ? -1 : 1;
+  return (resourceA, resourceB) => {
+    return direction * (compareValues(resourceA[orderKey], resourceB[orderKey]) || compareValues(resourceA.id, resourceB.id));
+  };
+};
+
+MemoryAdapter.prototype.viewQuery = function (type, viewName, viewParams, pageQuery, callback) {
+  let viewMetaData = queryTransformer.getViewMetaData(this, type, viewName);
+  let orderKey = viewMetaData.orderKey;
+  let resources = this._getViewResources(type, viewName, viewParams);
+  let offset = pageQuery.offset || 0;
+
+  if (orderKey) {
+    let compareResources = this._getViewComparator(type, viewName);
+    resources.sort(compareResources);
+
+    let isBackward = pageQuery.before != null;
+    let cursor = decodeCursor(isBackward ? pageQuery.before : pageQuery.after);
+    if (cursor) {
+      let cursorResource = {id: cursor.id};
+      cursorResource[orderKey] = cursor.value;
+      if (isBackward) {
+        resources = resources.filter((resource) => {
+          return compareResources(resource, cursorResource) < 0;
+        });
+        let start = Math.max(resources.length - pageQuery.limit, 0);
+        resources = resources.slice(start);
+      } else {
+        resources = resources.filter((resource) => {
+          return compareResources(resource, cursorResource) > 0;
+        });
+        resources = resources.slice(0, pageQuery.limit);
+      }
+      offset = null;
+    }
+  }
+  if (offset != null) {
+    resources = resources.slice(offset, offset + pageQuery.limit);
+  }
+
+  resources = resources.map((resource) => {
+    if (!pageQuery.fields) {
+      return cloneValue(resource);
+    }
+    let projection = {};
+    pageQuery.fields.forEach((field) => {
+      if (resource.hasOwnProperty(field)) {
+        projection[field] = cloneValue(resource[field]);
+      }
+    });
+    return projection;
+  });
+
+  process.nextTick(() => {
+    callback(null, resources);
+  });
+};
+
+MemoryAdapter.prototype.viewIndexOf = function (type, viewName, viewParams, id, callback) {
+  let resources = this._getViewResources(type, viewName, viewParams);
+  let compareResources = this._getViewComparator(type, viewName);
+  if (compareResources) {
+    resources.sort(compareResources);
+  }
+  let index = resources.findIndex((resource) => {
+    return resource.id === id;
+  });
+  process.nextTick(() => {
+    callback(null, index);
+  });
+};
+
+MemoryAdapter.prototype.aggregate = function (type, viewName, viewParams, callback) {
+  let aggregate = queryTransformer.getViewMetaData(this, type, viewName).aggregate;
+  let resources = this._getViewResources(type, viewName, viewParams);
+  let result;
+
+  if (aggregate.groupBy) {
+    let groups = {};
+    resources.forEach((resource) => {
+      let group = resource[aggregate.groupBy];
+      if (!groups[group]) {
+        groups[group] = [];
+      }
+      groups[group].push(resource);
+    });
+    result = {};
+    Object.keys(groups).forEach((group) => {
+      result[group] = reduceResources(aggregate, groups[group]);
+    });
+  } else {
+    result = reduceResources(aggregate, resources);
+  }
+  process.nextTick(() => {
+    callback(null, result);
+  });
+};
+
+MemoryAdapter.prototype.count = function (type, viewName, viewParams, callback) {
+  let count = this._getViewResources(type, viewName, viewParams).length;
+  process.nextTick(() => {
+    callback(null, count);
+  });
+};
+
+MemoryAdapter.prototype.findByField = function (type, field, values, callback) {
+  let table = this._getTable(type);
+  let isSoftDeleteEnabled = softDelete.isSoftDeleteEnabled(this.schema, type);
+  let resources = Object.keys(table).map((id) => {
+    return table[id];
+  }).filter((resource) => {
+    if (isSoftDeleteEnabled && softDelete.isDeleted(resource)) {
+      return false;
+    }
+    return values.indexOf(resource[field]) !== -1;
+  }).map(cloneValue);
+
+  process.nextTick(() => {
+    callback(null, resources);
+  });
+};
+
+MemoryAdapter.prototype.purgeDeleted = function (type, deletedBefore, callback) {
+  let table = this._getTable(type);
+  let ids = Object.keys(table).filter((id) => {
+    let resource = table[id];
+    return softDelete.isDeleted(resource) && compareValues(resource[softDelete.deletedAtField], deletedBefore) < 0;
+  });
+  ids.forEach((id) => {
+    this._write(type, id, null);
+  });
+  process.nextTick(() => {
+    callback(null, ids);
+  });
+};
+
+MemoryAdapter.prototype.changes = function (type, listener) {
+  let changeHandler = (change) => {
+    listener(null, change);
+  };
+  this._changeEmitter.on(type, changeHandler);
+
+  return {
+    close: () => {
+      this._changeEmitter.removeListener(type, changeHandler);
+    }
+  };
+};
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,230 @@
+// Collects counters and timings about CRUD operations, filters, the cache and
+// realtime messages. Metrics are kept in memory for the lifetime of the worker.
+
+const isCRUDError = require('./errors').isCRUDError;
+
+let defaultDurationBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+let Metrics = function (options) {
+  this.options = options || {};
+  this.prefix = this.options.prefix || 'sc_crud_';
+  // Model types which are not in this list are recorded as invalid so that clients cannot create new labels.
+  this.modelTypes = this.options.modelTypes || null;
+  // Upper bounds (in seconds) of the operation duration histogram buckets.
+  this.durationBuckets = (this.options.durationBuckets || defaultDurationBuckets).slice().sort((a, b) => {
+    return a - b;
+  });
+  this.getCacheStats = this.options.getCacheStats || null;
+  this.reset();
+};
+
+Metrics.prototype.reset = function () {
+  this._operations = {};
+  this._operationDurations = {};
+  this._filterRejections = {};
+  this._cacheEvents = {};
+  this._publishedMessages = {};
+};
+
+let increment = function (map, keys, amount) {
+  let lastIndex = keys.length - 1;
+  keys.forEach((key, index) => {
+    if (index === lastIndex) {
+      map[key] = (map[key] || 0) + amount;
+    } else {
+      if (!map[key]) {
+        map[key] = {};
+      }
+      map = map[key];
+    }
+  });
+};
+
+Metrics.prototype._getTypeLabel = function (type) {
+  if (type == null) {
+    return 'unknown';
+  }
+  if (this.modelTypes && (typeof type !== 'string' || this.modelTypes.indexOf(type) === -1)) {
+    return 'invalid';
+  }
+  return String(type);
+};
+
+// The outcome of an operation is either success or the name of the CRUD error which it failed with.
+// Other errors (e.g. custom errors from filters) are recorded as Error.
+Metrics.prototype.recordOperation = function (action, type, err, durationMs) {
+  let outcome;
+  if (!err) {
+    outcome = 'success';
+  } else if (isCRUDError(err)) {
+    outcome = err.name;
+  } else {
+    outcome = 'Error';
+  }
+  type = this._getTypeLabel(type);
+  increment(this._operations, [action, type, outcome], 1);
+
+  if (!this._operationDurations[action]) {
+    this._operationDurations[action] = {};
+  }
+  let duration = this._operationDurations[action][type];
+  if (!duration) {
+    duration = {
+      count: 0,
+      sum: 0,
+      buckets: this.durationBuckets.map(() => {
+        return 0;
+      })
+    };
+    this._operationDurations[action][type] = duration;
+  }
+  let durationSeconds = durationMs / 1000;
+  duration.count++;
+  duration.sum += durationSeconds;
+  this.durationBuckets.forEach((upperBound, index) => {
+    if (durationSeconds <= upperBound) {
+      duration.buckets[index]++;
+    }
+  });
+};
+
+Metrics.prototype.recordFilterRejection = function (phase, type) {
+  increment(this._filterRejections, [phase || 'unknown', this._getTypeLabel(type)], 1);
+};
+
+Metrics.prototype.recordCacheEvent = function (event) {
+  increment(this._cacheEvents, [event], 1);
+};
+
+Metrics.prototype.recordPublish = function (channelKind) {
+  increment(this._publishedMessages, [channelKind], 1);
+};
+
+Metrics.prototype.getMetrics = function () {
+  let operationDurations = {};
+  Object.keys(this._operationDurations).forEach((action) => {
+    operationDurations[action] = {};
+    Object.keys(this._operationDurations[action]).forEach((type) => {
+      let duration = this._operationDurations[action][type];
+      operationDurations[action][type] = {
+        count: duration.count,
+        sum: duration.sum,
+        // Each bucket counts the operations which took at most le seconds.
+        buckets: this.durationBuckets.map((upperBound, index) => {
+          return {le: upperBound, count: duration.buckets[index]};
+        })
+      };
+    });
+  });
+
+  let metrics = {
+    operations: JSON.parse(JSON.stringify(this._operations)),
+    operationDurations: operationDurations,
+    filterRejections: JSON.parse(JSON.stringify(this._filterRejections)),
+    cacheEvents: Object.assign({}, this._cacheEvents),
+    publishedMessages: Object.assign({}, this._publishedMessages)
+  };
+  if (this.getCacheStats) {
+    metrics.cache = this.getCacheStats();
+  }
+  return metrics;
+};
+
+let escapeLabelValue = function (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+};
+
+let formatLabels = function (labels) {
+  let labelNames = Object.keys(labels);
+  if (!labelNames.length) {
+    return '';
+  }
+  return '{' + labelNames.map((labelName) => {
+    return labelName + '="' + escapeLabelValue(labels[labelName]) + '"';
+  }).join(',') + '}';
+};
+
+// Render the metrics in the Prometheus text exposition format (version 0.0.4).
+Metrics.prototype.toPrometheus = function () {
+  let metrics = this.getMetrics();
+  let lines = [];
+
+  let addMetric = (name, metricType, help, samples) => {
+    lines.push(`# HELP ${this.prefix}${name} ${help}`);
+    lines.push(`# TYPE ${this.prefix}${name} ${metricType}`);
+    samples.forEach((sample) => {
+      lines.push(this.prefix + (sample.name || name) + formatLabels(sample.labels) + ' ' + sample.value);
+    });
+  };
+
+  let operationSamples = [];
+  Object.keys(metrics.operations).forEach((action) => {
+    Object.keys(metrics.operations[action]).forEach((type) => {
+      Object.keys(metrics.operations[action][type]).forEach((outcome) => {
+        operationSamples.push({
+          labels: {action: action, type: type, outcome: outcome},
+          value: metrics.operations[action][type][outcome]
+        });
+      });
+    });
+  });
+  addMetric('operations_total', 'counter', 'Number of CRUD operations by action, model type and outcome.', operationSamples);
+
+  let durationSamples = [];
+  Object.keys(metrics.operationDurations).forEach((action) => {
+    Object.keys(metrics.operationDurations[action]).forEach((type) => {
+      let duration = metrics.operationDurations[action][type];
+      duration.buckets.forEach((bucket) => {
+        durationSamples.push({
+          name: 'operation_duration_seconds_bucket',
+          labels: {action: action, type: type, le: bucket.le},
+          value: bucket.count
+        });
+      });
+      durationSamples.push({
+        name: 'operation_duration_seconds_bucket',
+        labels: {action: action, type: type, le: '+Inf'},
+        value: duration.count
+      });
+      durationSamples.push({
+        name: 'operation_duration_seconds_sum',
+        labels: {action: action, type: type},
+        value: duration.sum
+      });
+      durationSamples.push({
+        name: 'operation_duration_seconds_count',
+        labels: {action: action, type: type},
+        value: duration.count
+      });
+    });
+  });
+  addMetric('operation_duration_seconds', 'histogram', 'Duration of CRUD operations in seconds.', durationSamples);
+
+  let rejectionSamples = [];
+  Object.keys(metrics.filterRejections).forEach((phase) => {
+    Object.keys(metrics.filterRejections[phase]).forEach((type) => {
+      rejectionSamples.push({
+        labels: {phase: phase, type: type},
+        value: metrics.filterRejections[phase][type]
+      });
+    });
+  });
+  addMetric('filter_rejections_total', 'counter', 'Number of requests which were blocked by filters by phase and model type.', rejectionSamples);
+
+  addMetric('cache_events_total', 'counter', 'Number of resource cache events by event name.', Object.keys(metrics.cacheEvents).map((event) => {
+    return {labels: {event: event}, value: metrics.cacheEvents[event]};
+  }));
+
+  addMetric('published_messages_total', 'counter', 'Number of realtime messages published by channel kind.', Object.keys(metrics.publishedMessages).map((kind) => {
+    return {labels: {kind: kind}, value: metrics.publishedMessages[kind]};
+  }));
+
+  if (metrics.cache) {
+    addMetric('cache_entries', 'gauge', 'Number of entries in the resource cache.', [{labels: {}, value: metrics.cache.size}]);
+    addMetric('cache_bytes', 'gauge', 'Estimated size of the resource cache in bytes (only tracked if cacheMaxBytes is set).', [{labels: {}, value: metrics.cache.bytes}]);
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+module.exports = Metrics;
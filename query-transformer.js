@@ -1,3 +1,6 @@
+const decodeCursor = require('./cursor').decodeCursor;
+const softDelete = require('./soft-delete');
+
 let getViewMetaData = function (options, type, viewName) {
   let typeSchema = options.schema[type] || {};
   let modelViews = typeSchema.views || {};
@@ -6,9 +9,9 @@ let getViewMetaData = function (options, type, viewName) {
   return Object.assign({}, viewSchema);
 };
 
-module.exports.constructTransformedRethinkQuery = function (options, ModelClass, type, viewName, viewParams) {
+// Only the params which are declared as paramFields are passed to the view.
+let sanitizeViewParams = function (options, type, viewName, viewParams) {
   let viewMetaData = getViewMetaData(options, type, viewName);
-  let rethinkQuery = ModelClass;
 
   let sanitizedViewParams = {};
   if (typeof viewParams === 'object' && viewParams != null) {
@@ -17,11 +20,136 @@ module.exports.constructTransformedRethinkQuery = function (options, ModelClass,
       sanitizedViewParams[field] = value === undefined ? null : value;
     });
   }
+  return sanitizedViewParams;
+};
+
+module.exports.getViewMetaData = getViewMetaData;
+module.exports.sanitizeViewParams = sanitizeViewParams;
+
+// The base query is either the model or an indexed query (see constructIndexedRethinkQuery).
+module.exports.constructTransformedRethinkQuery = function (options, baseQuery, type, viewName, viewParams) {
+  let viewMetaData = getViewMetaData(options, type, viewName);
+  let rethinkQuery = baseQuery;
+  let sanitizedViewParams = sanitizeViewParams(options, type, viewName, viewParams);
 
   let transformFn = viewMetaData.transform;
   if (transformFn) {
     rethinkQuery = transformFn(rethinkQuery, options.thinky.r, sanitizedViewParams);
   }
+  if (softDelete.isSoftDeleteEnabled(options.schema, type)) {
+    // Soft-deleted documents are not part of any view.
+    rethinkQuery = rethinkQuery.filter((doc) => {
+      return doc(softDelete.deletedAtField).default(null).eq(null);
+    });
+  }
 
   return rethinkQuery;
 };
+
+// Views which declare an orderKey are read through a compound secondary index of the form
+// [...indexParamFields, orderKey, id] so that they can be ordered and paged without scanning and sorting
+// the whole table. The optional indexParamFields of a view are view params which the documents of the view
+// must match exactly (they are also document fields); they narrow the index down to the documents of the view.
+let getOrderIndex = function (options, type, viewName) {
+  let viewMetaData = getViewMetaData(options, type, viewName);
+  let indexParamFields = viewMetaData.indexParamFields || [];
+  let fields;
+  if (viewMetaData.orderKey) {
+    fields = indexParamFields.concat([viewMetaData.orderKey, 'id']);
+  } else if (viewMetaData.aggregate && indexParamFields.length) {
+    // Aggregate views are not ordered but the index narrows them down to the documents of their view params.
+    fields = indexParamFields.concat(['id']);
+  } else {
+    return null;
+  }
+  return {
+    name: fields.join('_'),
+    fields: fields
+  };
+};
+
+module.exports.getOrderIndex = getOrderIndex;
+
+// Get the secondary indexes which the views of a model need.
+module.exports.getOrderIndexes = function (options, type) {
+  let typeSchema = options.schema[type] || {};
+  let indexes = {};
+  Object.keys(typeSchema.views || {}).forEach((viewName) => {
+    let index = getOrderIndex(options, type, viewName);
+    if (index) {
+      indexes[index.name] = index;
+    }
+  });
+  return Object.keys(indexes).map((indexName) => {
+    return indexes[indexName];
+  });
+};
+
+// Get the values of the indexParamFields of a view which all the index keys of the view start with.
+let getIndexPrefix = function (options, type, viewName, viewParams) {
+  let viewMetaData = getViewMetaData(options, type, viewName);
+  let sanitizedViewParams = sanitizeViewParams(options, type, viewName, viewParams);
+  return (viewMetaData.indexParamFields || []).map((field) => {
+    return sanitizedViewParams[field];
+  });
+};
+
+// Select the documents of a view from the order index of the view (in the order of the view).
+// Views which do not declare an orderKey are ordered by their transform function so the
+// model is returned as is (aggregate views with indexParamFields are only narrowed down to their view params). If the pageQuery has an after or before cursor, only the documents
+// which come after (or before) the cursor are selected. When paging backwards (using a before cursor),
+// the view is walked in reverse order so the resulting documents need to be reversed by the caller.
+// The transform function of the view must be applied to the resulting query.
+module.exports.constructIndexedRethinkQuery = function (options, ModelClass, type, viewName, viewParams, pageQuery) {
+  let viewMetaData = getViewMetaData(options, type, viewName);
+  let index = getOrderIndex(options, type, viewName);
+  if (!index) {
+    return ModelClass;
+  }
+  let r = options.thinky.r;
+  let prefix = getIndexPrefix(options, type, viewName, viewParams);
+
+  let lowerBound = prefix.concat(index.fields.slice(prefix.length).map(() => r.minval));
+  let upperBound = prefix.concat(index.fields.slice(prefix.length).map(() => r.maxval));
+  let boundOptions = {index: index.name};
+  if (!viewMetaData.orderKey) {
+    return ModelClass.between(lowerBound, upperBound, boundOptions);
+  }
+
+  let isBackward = !!pageQuery && pageQuery.before != null;
+  let isDescending = (viewMetaData.orderDirection === 'desc') !== isBackward;
+  let cursor = pageQuery ? decodeCursor(isBackward ? pageQuery.before : pageQuery.after) : null;
+
+  if (cursor) {
+    if (isDescending) {
+      upperBound = prefix.concat([cursor.value, cursor.id]);
+      boundOptions.rightBound = 'open';
+    } else {
+      lowerBound = prefix.concat([cursor.value, cursor.id]);
+      boundOptions.leftBound = 'open';
+    }
+  }
+  let order = isDescending ? 'desc' : 'asc';
+  return ModelClass.between(lowerBound, upperBound, boundOptions).orderBy({index: r[order](index.name)});
+};
+
+// Select a single document from the order index of a view - The document is selected only if
+// it belongs to the view params. The transform function of the view must be applied to the resulting query.
+module.exports.constructIndexedDocumentRethinkQuery = function (options, ModelClass, type, viewName, viewParams, resource) {
+  let viewMetaData = getViewMetaData(options, type, viewName);
+  let index = getOrderIndex(options, type, viewName);
+  let orderValue = resource[viewMetaData.orderKey];
+  let key = getIndexPrefix(options, type, viewName, viewParams).concat([orderValue === undefined ? null : orderValue, resource.id]);
+  return ModelClass.between(key, key, {index: index.name, rightBound: 'closed'});
+};
+
+// Select a single page from an indexed and transformed view query.
+module.exports.constructPagedRethinkQuery = function (options, rethinkQuery, type, viewName, pageQuery, limit) {
+  let viewMetaData = getViewMetaData(options, type, viewName);
+  let hasCursor = !!viewMetaData.orderKey && (pageQuery.after != null || pageQuery.before != null);
+
+  if (!hasCursor && pageQuery.offset) {
+    return rethinkQuery.slice(pageQuery.offset, pageQuery.offset + limit);
+  }
+  return rethinkQuery.limit(limit);
+};
@@ -0,0 +1,206 @@
+// Limits the rate of CRUD requests using token buckets. Each limit has the form
+// {capacity, refillRate} where capacity is the maximum number of tokens in a bucket
+// (the allowed burst) and refillRate is the number of tokens which are added per second.
+// A request takes one token from each bucket which applies to it:
+//   socket: One bucket per socket.
+//   subject: One bucket per authToken subject (shared between all sockets of a user).
+//   models: Buckets which are shared by all sockets, per model type and action, e.g.
+//     {Product: {read: {capacity: 1000, refillRate: 500}, '*': {...}}} - The '*' action matches
+//     the actions which do not have their own limit.
+
+const errors = require('./errors');
+
+let RateLimiter = function (options) {
+  this.options = options || {};
+  this.limits = this.options.limits || {};
+  this.getSubject = this.options.getSubject || ((authToken) => {
+    if (authToken && authToken.sub !== undefined) {
+      return authToken.sub;
+    }
+    return null;
+  });
+  // Idle buckets are full so they can be removed; this happens at most once per pruneInterval.
+  this.pruneInterval = this.options.pruneInterval || 60000;
+  this._buckets = {};
+  this._lastPruneTime = Date.now();
+};
+
+RateLimiter.prototype._validateLimit = function (limit, limitName) {
+  if (!limit || typeof limit.capacity !== 'number' || limit.capacity < 1 || typeof limit.refillRate !== 'number' || limit.refillRate <= 0) {
+    throw new errors.CRUDConfigError(`The ${limitName} rate limit must have a capacity of at least 1 and a positive refillRate`);
+  }
+};
+
+RateLimiter.prototype.validate = function () {
+  if (this.limits.socket) {
+    this._validateLimit(this.limits.socket, 'socket');
+  }
+  if (this.limits.subject) {
+    this._validateLimit(this.limits.subject, 'subject');
+  }
+  let modelLimits = this.limits.models || {};
+  Object.keys(modelLimits).forEach((type) => {
+    Object.keys(modelLimits[type]).forEach((action) => {
+      this._validateLimit(modelLimits[type][action], `${type} ${action}`);
+    });
+  });
+};
+
+RateLimiter.prototype._getModelLimit = function (type, action) {
+  let modelLimits = (this.limits.models || {})[type];
+  if (!modelLimits) {
+    return null;
+  }
+  return modelLimits[action] || modelLimits['*'] || null;
+};
+
+RateLimiter.prototype._getBucket = function (key, limit, now) {
+  let bucket = this._buckets[key];
+  if (!bucket) {
+    bucket = {
+      tokens: limit.capacity,
+      updatedAt: now,
+      limit: limit
+    };
+    this._buckets[key] = bucket;
+  } else {
+    let elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsedSeconds * limit.refillRate);
+    bucket.updatedAt = now;
+    bucket.limit = limit;
+  }
+  return bucket;
+};
+
+RateLimiter.prototype._prune = function (now) {
+  if (now - this._lastPruneTime < this.pruneInterval) {
+    return;
+  }
+  this._lastPruneTime = now;
+  Object.keys(this._buckets).forEach((key) => {
+    let bucket = this._buckets[key];
+    let elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    if (bucket.tokens + elapsedSeconds * bucket.limit.refillRate >= bucket.limit.capacity) {
+      delete this._buckets[key];
+    }
+  });
+};
+
+// Get the buckets which apply to a request.
+RateLimiter.prototype._getRequestBuckets = function (req, now) {
+  let socket = req.socket;
+  let query = req.query || {};
+  let bucketList = [];
+
+  if (this.limits.socket && socket && socket.id != null) {
+    let key = 'socket/' + socket.id;
+    bucketList.push({
+      name: 'socket',
+      key: key,
+      bucket: this._getBucket(key, this.limits.socket, now)
+    });
+  }
+  let subject = socket ? this.getSubject(socket.authToken) : null;
+  if (this.limits.subject && subject != null) {
+    let key = 'subject/' + subject;
+    bucketList.push({
+      name: 'subject',
+      key: key,
+      bucket: this._getBucket(key, this.limits.subject, now)
+    });
+  }
+  let modelLimit = this._getModelLimit(query.type, req.action);
+  if (modelLimit) {
+    let key = 'model/' + query.type + '/' + req.action;
+    bucketList.push({
+      name: 'model',
+      key: key,
+      bucket: this._getBucket(key, modelLimit, now)
+    });
+  }
+  return bucketList;
+};
+
+// Take a token for the request from each bucket which applies to it. Returns a
+// CRUDRateLimitedError if any of the buckets is empty (in that case, no tokens are taken)
+// or null if the request is allowed.
+RateLimiter.prototype.consume = function (req) {
+  return this.consumeAll([req]);
+};
+
+// Take the tokens for a list of requests (e.g. the operations of a batch) as a whole - Either all
+// the requests are allowed or none of them are and no tokens are taken. Returns a CRUDRateLimitedError
+// which describes the first request that could not be allowed or null if all the requests are allowed.
+RateLimiter.prototype.consumeAll = function (reqList) {
+  let now = Date.now();
+  this._prune(now);
+
+  let requiredTokens = {};
+  let requestBucketLists = reqList.map((req) => {
+    let bucketList = this._getRequestBuckets(req, now);
+    bucketList.forEach((bucketInfo) => {
+      requiredTokens[bucketInfo.key] = (requiredTokens[bucketInfo.key] || 0) + 1;
+    });
+    return bucketList;
+  });
+
+  let failedIndex = -1;
+  let emptyBuckets = [];
+  requestBucketLists.some((bucketList, index) => {
+    emptyBuckets = bucketList.filter((bucketInfo) => {
+      return bucketInfo.bucket.tokens < requiredTokens[bucketInfo.key];
+    });
+    if (emptyBuckets.length) {
+      failedIndex = index;
+      return true;
+    }
+    return false;
+  });
+
+  if (failedIndex !== -1) {
+    let req = reqList[failedIndex];
+    let query = req.query || {};
+    // A list of requests which needs more tokens than a bucket can hold would never be allowed so it must not be retried.
+    let oversizedBuckets = emptyBuckets.filter((bucketInfo) => {
+      return requiredTokens[bucketInfo.key] > bucketInfo.bucket.limit.capacity;
+    });
+    if (oversizedBuckets.length) {
+      let oversizedLimitNames = oversizedBuckets.map((bucketInfo) => bucketInfo.name);
+      let oversizedError = new errors.CRUDRateLimitedError(`Too many ${req.action} requests for the ${query.type} model type - The request is larger than the ${oversizedLimitNames.join(', ')} rate limit so it cannot be retried`, errors.getQueryDetails(query, {
+        action: req.action,
+        retryable: false,
+        limits: oversizedLimitNames
+      }));
+      oversizedError.limits = oversizedLimitNames;
+      oversizedError.retryable = false;
+      return oversizedError;
+    }
+    let retryAfter = 0;
+    let limitNames = [];
+    emptyBuckets.forEach((bucketInfo) => {
+      let bucket = bucketInfo.bucket;
+      let waitTime = Math.ceil((requiredTokens[bucketInfo.key] - bucket.tokens) / bucket.limit.refillRate * 1000);
+      if (waitTime > retryAfter) {
+        retryAfter = waitTime;
+      }
+      limitNames.push(bucketInfo.name);
+    });
+    let error = new errors.CRUDRateLimitedError(`Too many ${req.action} requests for the ${query.type} model type - Retry after ${retryAfter}ms`, errors.getQueryDetails(query, {
+      action: req.action,
+      retryAfter: retryAfter,
+      limits: limitNames
+    }));
+    error.limits = limitNames;
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  requestBucketLists.forEach((bucketList) => {
+    bucketList.forEach((bucketInfo) => {
+      bucketInfo.bucket.tokens -= 1;
+    });
+  });
+  return null;
+};
+
+module.exports = RateLimiter;
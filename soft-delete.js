@@ -0,0 +1,18 @@
+// Documents of models which have softDelete enabled in the schema are not removed
+// when they are deleted; instead, they are marked as deleted using the following fields
+// and treated as absent by reads and views until they are restored or purged.
+
+let deletedAtField = 'deletedAt';
+let deletedByField = 'deletedBy';
+
+module.exports.deletedAtField = deletedAtField;
+module.exports.deletedByField = deletedByField;
+
+module.exports.isSoftDeleteEnabled = function (schema, type) {
+  let modelSchema = schema[type];
+  return !!(modelSchema && modelSchema.softDelete);
+};
+
+module.exports.isDeleted = function (resource) {
+  return resource != null && resource[deletedAtField] != null;
+};
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+const queryTransformer = require('../query-transformer');
+
+describe('aggregate views', () => {
+  let schema;
+
+  beforeEach(() => {
+    schema = {
+      Order: {
+        fields: {},
+        views: {
+          totalQuantity: {
+            paramFields: ['shop'],
+            indexParamFields: ['shop'],
+            affectingFields: ['quantity'],
+            aggregate: {operation: 'sum', field: 'quantity'}
+          }
+        }
+      }
+    };
+  });
+
+  it('publishes the new value of aggregate views which are affected by notifyUpdate', async () => {
+    let {crud, server} = helpers.createCRUD(schema);
+    await crud.create({type: 'Order', value: {id: 'o1', shop: 's1', quantity: 2}});
+    await crud.create({type: 'Order', value: {id: 'o2', shop: 's1', quantity: 3}});
+    server.published = [];
+
+    await crud.notifyUpdate({
+      type: 'Order',
+      oldResource: {id: 'o1', shop: 's1', quantity: 1},
+      newResource: {id: 'o1', shop: 's1', quantity: 2}
+    });
+    await helpers.wait(10);
+    assert.deepStrictEqual(helpers.getMessages(server, 'crud>totalQuantity({"shop":"s1"}):Order'), [{type: 'aggregate', value: 5}]);
+  });
+
+  it('calculates each affected aggregate view once per write', async () => {
+    let {crud, server} = helpers.createCRUD(schema);
+    await crud.create({type: 'Order', value: {id: 'o1', shop: 's1', quantity: 2}});
+    let aggregateCalls = 0;
+    let aggregate = crud.adapter.aggregate;
+    crud.adapter.aggregate = function () {
+      aggregateCalls++;
+      return aggregate.apply(this, arguments);
+    };
+    server.published = [];
+
+    await crud.update({type: 'Order', id: 'o1', field: 'quantity', value: 4});
+    assert.strictEqual(aggregateCalls, 1);
+    assert.deepStrictEqual(helpers.getMessages(server, 'crud>totalQuantity({"shop":"s1"}):Order'), [{type: 'aggregate', value: 4}]);
+  });
+
+  it('narrows aggregate views down to their view params through an index', () => {
+    let calls = [];
+    let query = {
+      between: (...args) => {
+        calls.push(['between'].concat(args));
+        return query;
+      }
+    };
+    let options = {schema: schema, thinky: {r: {minval: 'MINVAL', maxval: 'MAXVAL'}}};
+    assert.deepStrictEqual(queryTransformer.getOrderIndexes(options, 'Order'), [
+      {name: 'shop_id', fields: ['shop', 'id']}
+    ]);
+    queryTransformer.constructIndexedRethinkQuery(options, query, 'Order', 'totalQuantity', {shop: 's1'});
+    assert.deepStrictEqual(calls, [
+      ['between', ['s1', 'MINVAL'], ['s1', 'MAXVAL'], {index: 'shop_id'}]
+    ]);
+  });
+});
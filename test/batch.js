@@ -0,0 +1,106 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+
+describe('batch', () => {
+  let crud;
+  let server;
+  let socket;
+
+  beforeEach(() => {
+    let setup = helpers.createCRUD({
+      Account: {
+        fields: {},
+        views: {all: {}},
+        filters: {
+          pre: (req, next) => {
+            next(req.query.id === 'locked');
+          }
+        }
+      }
+    });
+    crud = setup.crud;
+    server = setup.server;
+    socket = helpers.connect(server);
+  });
+
+  let getAccount = (id) => {
+    return new Promise((resolve) => {
+      crud.adapter.get('Account', id, (err, resource) => {
+        resolve(err ? null : resource);
+      });
+    });
+  };
+
+  it('applies the operations in order and calls back with their results', async () => {
+    let results = await socket.request('batch', [
+      {action: 'create', query: {type: 'Account', value: {id: 'a', balance: 100}}},
+      {action: 'create', query: {type: 'Account', value: {id: 'b', balance: 100}}},
+      {action: 'update', query: {type: 'Account', id: 'a', field: 'balance', value: 90}},
+      {action: 'delete', query: {type: 'Account', id: 'b'}}
+    ]);
+    assert.deepStrictEqual(results, ['a', 'b', null, null]);
+    assert.strictEqual((await getAccount('a')).balance, 90);
+    assert.strictEqual(await getAccount('b'), null);
+  });
+
+  it('reverts the applied operations and does not publish anything if an operation fails', async () => {
+    await crud.create({type: 'Account', value: {id: 'a', balance: 100}});
+    server.published = [];
+    let error = await socket.request('batch', [
+      {action: 'update', query: {type: 'Account', id: 'a', field: 'balance', value: 0}},
+      {action: 'update', query: {type: 'Account', id: 'missing', field: 'balance', value: 200}}
+    ]).catch((err) => err);
+    assert.strictEqual(error.code, 'BATCH_FAILED');
+    assert.strictEqual(error.failedIndex, 1);
+    assert.strictEqual(error.errors[0], null);
+    assert.strictEqual(error.errors[1].code, 'RESOURCE_NOT_FOUND');
+    assert.strictEqual((await getAccount('a')).balance, 100);
+    assert.deepStrictEqual(server.published, []);
+  });
+
+  it('lists the documents which could not be reverted', async () => {
+    await crud.create({type: 'Account', value: {id: 'a', balance: 100}});
+    let warnings = [];
+    crud.on('warning', (err) => {
+      warnings.push(err.code);
+    });
+    crud.adapter.replace = (type, id, resource, callback) => {
+      callback(new Error('Connection lost'));
+    };
+    let error = await crud.batch([
+      {action: 'update', query: {type: 'Account', id: 'a', field: 'balance', value: 0}},
+      {action: 'delete', query: {type: 'Account', id: 'missing'}}
+    ]).catch((err) => err);
+    assert.deepStrictEqual(error.details.unrevertedChanges, [{type: 'Account', id: 'a'}]);
+    assert(warnings.indexOf('REVERT_FAILED') !== -1);
+  });
+
+  it('blocks the whole batch if the pre filter blocks one of its operations', async () => {
+    let error = await socket.request('batch', [
+      {action: 'create', query: {type: 'Account', value: {id: 'c'}}},
+      {action: 'delete', query: {type: 'Account', id: 'locked'}}
+    ]).catch((err) => err);
+    assert.strictEqual(error.code, 'BLOCKED');
+    assert.strictEqual(error.errors[0], null);
+    assert(error.errors[1]);
+    assert.strictEqual(await getAccount('c'), null);
+  });
+
+  it('rejects unsupported actions', async () => {
+    let error = await crud.batch([{action: 'drop', query: {type: 'Account'}}]).catch((err) => err);
+    assert.strictEqual(error.code, 'INVALID_PARAMS');
+    assert.strictEqual(error.errors[0].details.action, 'drop');
+  });
+
+  it('rejects batches which have more than maxBatchOperations operations', async () => {
+    let operations = [];
+    for (let i = 0; i < 101; i++) {
+      operations.push({action: 'create', query: {type: 'Account', value: {id: 'a' + i}}});
+    }
+    let error = await socket.request('batch', operations).catch((err) => err);
+    assert.strictEqual(error.code, 'INVALID_PARAMS');
+    error = await crud.batch(operations).catch((err) => err);
+    assert.strictEqual(error.code, 'INVALID_PARAMS');
+    assert.strictEqual(await getAccount('a0'), null);
+  });
+});
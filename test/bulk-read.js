@@ -0,0 +1,43 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+
+describe('bulk read', () => {
+  let crud;
+  let server;
+
+  beforeEach(async () => {
+    let setup = helpers.createCRUD({
+      Account: {
+        fields: {},
+        filters: {
+          pre: (req, next) => {
+            next(req.query.id !== req.authToken.accountId);
+          }
+        }
+      }
+    }, {maxBulkReadIds: 3});
+    crud = setup.crud;
+    server = setup.server;
+    await crud.create({type: 'Account', value: {id: 'a1', name: 'Savings'}});
+    await crud.create({type: 'Account', value: {id: 'a2', name: 'Checking'}});
+  });
+
+  it('passes each id through the pre filter', async () => {
+    let socket = helpers.connect(server, {accountId: 'a1'});
+    let result = await socket.request('read', {type: 'Account', ids: ['a1']});
+    assert.deepStrictEqual(result.data, {a1: {id: 'a1', name: 'Savings'}});
+
+    let error = await socket.request('read', {type: 'Account', ids: ['a1', 'a2']}).catch((err) => err);
+    assert.strictEqual(error.code, 'BLOCKED');
+    assert.deepStrictEqual(Object.keys(error.errors), ['a2']);
+  });
+
+  it('limits the number of ids', async () => {
+    let socket = helpers.connect(server, {accountId: 'a1'});
+    let error = await socket.request('read', {type: 'Account', ids: ['a1', 'a1', 'a1', 'a1']}).catch((err) => err);
+    assert.strictEqual(error.code, 'INVALID_QUERY');
+
+    let serverError = await crud.read({type: 'Account', ids: ['a1', 'a2', 'a3', 'a4']}).catch((err) => err);
+    assert.strictEqual(serverError.code, 'INVALID_QUERY');
+  });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const Cache = require('../cache');
+const helpers = require('./helpers');
+
+describe('cache', () => {
+  let load = (cache, resource) => {
+    return new Promise((resolve, reject) => {
+      cache.pass({type: 'Product', id: resource.id}, (cb) => {
+        cb(null, resource);
+      }, (err, data) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(data);
+        }
+      });
+    });
+  };
+
+  it('keeps track of the size of entries which are updated in place', async () => {
+    let cache = new Cache({maxBytes: 1000});
+    let resource = {id: 'p1', name: 'Hammer'};
+    await load(cache, resource);
+    assert.strictEqual(cache.getStats().bytes, Buffer.byteLength(JSON.stringify({resource: resource})));
+
+    cache.update('crud>Product/p1/name', {type: 'update', value: 'A much longer product name'});
+    let expectedResource = {id: 'p1', name: 'A much longer product name'};
+    assert.strictEqual(cache.getStats().bytes, Buffer.byteLength(JSON.stringify({resource: expectedResource})));
+
+    cache.clear({type: 'Product', id: 'p1'});
+    assert.strictEqual(cache.getStats().bytes, 0);
+  });
+
+  it('evicts entries when an update takes the cache over its byte limit', async () => {
+    let cache = new Cache({maxBytes: 100});
+    await load(cache, {id: 'p1', name: 'Hammer'});
+    await load(cache, {id: 'p2', name: 'Saw'});
+    assert.strictEqual(cache.getStats().size, 2);
+
+    cache.update('crud>Product/p2/name', {type: 'update', value: 'x'.repeat(60)});
+    assert.strictEqual(cache.getStats().size, 1);
+    assert.strictEqual(cache.get({type: 'Product', id: 'p1'}), undefined);
+    assert.ok(cache.getStats().bytes <= 100);
+
+    cache.clear({type: 'Product', id: 'p2'});
+  });
+
+  it('emits a clear event when a load fails', (done) => {
+    let cache = new Cache();
+    cache.on('clear', (query) => {
+      assert.deepStrictEqual(query, {type: 'Product', id: 'p1'});
+      assert.strictEqual(cache.getStats().size, 0);
+      done();
+    });
+    cache.pass({type: 'Product', id: 'p1'}, (cb) => {
+      cb(new Error('Not found'));
+    }, () => {});
+  });
+
+  it('releases the resource channel of reads which fail', async () => {
+    let {crud, server} = helpers.createCRUD({
+      Product: {
+        fields: {}
+      }
+    });
+    let error = await crud.read({type: 'Product', id: 'missing'}).catch((err) => err);
+    assert.strictEqual(error.code, 'RESOURCE_NOT_FOUND');
+    assert.strictEqual(server.exchange.isSubscribed('crud>Product/missing', true), false);
+  });
+
+  it('does not cache the documents of an expanded view page which were read before the subscription', async () => {
+    let {crud} = helpers.createCRUD({
+      Product: {
+        fields: {},
+        views: {
+          all: {}
+        }
+      }
+    });
+    await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer'}});
+
+    // Another write lands after the view query but before the worker is subscribed to the resource channel.
+    let viewQuery = crud.adapter.viewQuery.bind(crud.adapter);
+    crud.adapter.viewQuery = (type, viewName, viewParams, pageQuery, cb) => {
+      crud.adapter.viewQuery = viewQuery;
+      viewQuery(type, viewName, viewParams, pageQuery, (err, data) => {
+        crud.update({type: 'Product', id: 'p1', field: 'name', value: 'Claw hammer'}).then(() => {
+          cb(err, data);
+        });
+      });
+    };
+    let page = await crud.read({type: 'Product', view: 'all', expand: true});
+    assert.strictEqual(page.data[0].name, 'Hammer');
+
+    await helpers.wait(10);
+    assert.strictEqual(crud.cache.get({type: 'Product', id: 'p1'}).resource.name, 'Claw hammer');
+    let product = await crud.read({type: 'Product', id: 'p1'});
+    assert.strictEqual(product.name, 'Claw hammer');
+  });
+});
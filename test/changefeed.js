@@ -0,0 +1,80 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+const ThinkyAdapter = require('../thinky-adapter');
+
+let schema = {
+  Product: {
+    fields: {},
+    changefeed: true
+  }
+};
+
+// Simulate a write which was made outside of sc-crud-rethink.
+let emitExternalChange = function (crud, change) {
+  crud.adapter._changeEmitter.emit('Product', change);
+};
+
+describe('changefeed', () => {
+  it('does not publish writes made through sc-crud-rethink a second time', async () => {
+    let {crud, server} = helpers.createCRUD(schema);
+    await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer'}});
+    await crud.update({type: 'Product', id: 'p1', field: 'name', value: 'Saw'});
+    await helpers.wait(10);
+    assert.strictEqual(helpers.getMessages(server, 'crud>Product/p1/name').length, 1);
+    crud.closeChangefeeds();
+  });
+
+  it('publishes changes which were made outside of sc-crud-rethink', async () => {
+    let {crud, server} = helpers.createCRUD(schema);
+    emitExternalChange(crud, {old_val: {id: 'p1', name: 'Hammer'}, new_val: {id: 'p1', name: 'Saw'}});
+    assert.deepStrictEqual(helpers.getMessages(server, 'crud>Product/p1/name'), [undefined]);
+    crud.closeChangefeeds();
+  });
+
+  it('only watches the changefeeds in the leader worker by default', () => {
+    let server = helpers.createServer();
+    let {crud} = helpers.createCRUD(schema, {worker: {scServer: server, isLeader: false}});
+    emitExternalChange(crud, {old_val: {id: 'p1', name: 'Hammer'}, new_val: {id: 'p1', name: 'Saw'}});
+    assert.deepStrictEqual(server.published, []);
+
+    let watchingServer = helpers.createServer();
+    let watchingCRUD = helpers.createCRUD(schema, {
+      worker: {scServer: watchingServer, isLeader: false},
+      watchChangefeeds: true
+    }).crud;
+    emitExternalChange(watchingCRUD, {old_val: {id: 'p1', name: 'Hammer'}, new_val: {id: 'p1', name: 'Saw'}});
+    assert.strictEqual(helpers.getMessages(watchingServer, 'crud>Product/p1/name').length, 1);
+    watchingCRUD.closeChangefeeds();
+  });
+
+  describe('write markers of the RethinkDB adapter', () => {
+    let adapter = new ThinkyAdapter();
+
+    let change = (oldMarker, newMarker, isDelete) => {
+      return {
+        old_val: {id: 'p1', _crudWrite: oldMarker},
+        new_val: isDelete ? null : {id: 'p1', _crudWrite: newMarker}
+      };
+    };
+
+    it('recognizes writes which replaced the marker as own writes', () => {
+      assert.strictEqual(adapter._isOwnWrite(change('a', 'b')), true);
+      assert.strictEqual(adapter._isOwnWrite({old_val: null, new_val: {id: 'p1', _crudWrite: 'a'}}), true);
+      assert.strictEqual(adapter._isOwnWrite(change('a', 'delete:b')), true);
+      assert.strictEqual(adapter._isOwnWrite(change('delete:b', null, true)), true);
+    });
+
+    it('recognizes writes which kept or removed the marker as external writes', () => {
+      // Unlike a timed token, an earlier write (even one which did not change anything) does not hide the next external change.
+      assert.strictEqual(adapter._isOwnWrite(change('a', 'a')), false);
+      assert.strictEqual(adapter._isOwnWrite(change('a', undefined)), false);
+      assert.strictEqual(adapter._isOwnWrite(change('a', null, true)), false);
+      assert.strictEqual(adapter._isOwnWrite({old_val: null, new_val: {id: 'p1'}}), false);
+    });
+
+    it('does not return the marker as part of documents', () => {
+      let resources = [{id: 'p1', _crudWrite: 'a'}, {id: 'p2'}];
+      assert.deepStrictEqual(adapter._removeWriteMarker(resources), [{id: 'p1'}, {id: 'p2'}]);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+const field = require('../index').field;
+
+describe('computed fields', () => {
+  let crud;
+  let server;
+
+  beforeEach(async () => {
+    let setup = helpers.createCRUD({
+      Product: {
+        fields: {
+          cost: field({access: {read: (authToken) => !!authToken && authToken.role === 'admin'}})
+        },
+        computedFields: {
+          margin: {
+            dependsOn: ['price', 'cost'],
+            compute: (resource) => resource.cost == null ? null : resource.price - resource.cost
+          },
+          label: {
+            dependsOn: ['name'],
+            access: {read: false},
+            compute: (resource) => resource.name.toUpperCase()
+          }
+        }
+      }
+    });
+    crud = setup.crud;
+    server = setup.server;
+    await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer', price: 10, cost: 4}});
+  });
+
+  it('blocks computed fields whose source fields cannot be read', async () => {
+    let socket = helpers.connect(server);
+    let product = await socket.request('read', {type: 'Product', id: 'p1'});
+    assert.strictEqual(product.cost, undefined);
+    assert.strictEqual(product.margin, undefined);
+
+    let error = await socket.request('read', {type: 'Product', id: 'p1', field: 'margin'}).catch((err) => err);
+    assert.strictEqual(error.code, 'BLOCKED');
+
+    let adminSocket = helpers.connect(server, {role: 'admin'});
+    let adminProduct = await adminSocket.request('read', {type: 'Product', id: 'p1'});
+    assert.strictEqual(adminProduct.margin, 6);
+  });
+
+  it('applies the access rules which are declared on computed fields', async () => {
+    let socket = helpers.connect(server, {role: 'admin'});
+    let product = await socket.request('read', {type: 'Product', id: 'p1'});
+    assert.strictEqual(product.label, undefined);
+
+    let error = await socket.subscribe('crud>Product/p1/label').catch((err) => err);
+    assert.strictEqual(error.code, 'BLOCKED');
+  });
+
+  it('publishes the new values of computed fields when a source field is deleted', async () => {
+    await crud.delete({type: 'Product', id: 'p1', field: 'cost'});
+    await helpers.wait(10);
+    assert.deepStrictEqual(helpers.getMessages(server, 'crud>Product/p1/margin'), [{type: 'update', value: null}]);
+  });
+});
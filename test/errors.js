@@ -0,0 +1,44 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+const errors = require('../errors');
+
+describe('errors', () => {
+  it('replaces errors which are not CRUD errors with a generic database error', () => {
+    let error = new Error('connect ECONNREFUSED 10.0.0.12:28015');
+    error.code = 'ECONNREFUSED';
+    let serializedError = errors.serializeError(error);
+    assert.strictEqual(serializedError.name, 'CRUDDatabaseError');
+    assert.strictEqual(serializedError.code, 'DATABASE_ERROR');
+    assert.strictEqual(serializedError.message, 'The operation failed because of an internal error');
+    assert.strictEqual(serializedError.stack, undefined);
+  });
+
+  it('serializes the errors which a CRUD error lists', () => {
+    let error = new errors.CRUDBlockedError('Some operations were blocked');
+    error.errors = {p1: new Error('Table secret_products does not exist'), p2: new errors.CRUDBlockedError('Not allowed')};
+    let serializedError = errors.serializeError(error);
+    assert.strictEqual(serializedError.errors.p1.code, 'DATABASE_ERROR');
+    assert.strictEqual(serializedError.errors.p2.message, 'Not allowed');
+  });
+
+  it('does not send the messages of other errors to sockets', async () => {
+    let {crud, server} = helpers.createCRUD({
+      Product: {
+        fields: {},
+        filters: {
+          post: (req, next) => {
+            next(new Error('Lookup on db-internal.example failed'));
+          }
+        }
+      }
+    });
+    await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer'}});
+    let socket = helpers.connect(server);
+    let error = await socket.request('read', {type: 'Product', id: 'p1'}).catch((err) => err);
+    assert.strictEqual(error.code, 'DATABASE_ERROR');
+    assert.ok(!/db-internal/.test(error.message));
+
+    let result = await socket.request('read', {type: 'Product', ids: ['p1']});
+    assert.strictEqual(result.errors.p1.name, 'CRUDDatabaseError');
+  });
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const r = require('rethinkdbdash')({pool: false});
+const helpers = require('./helpers');
+const ThinkyAdapter = require('../thinky-adapter');
+const field = require('../index').field;
+
+describe('field operations', () => {
+  let crud;
+
+  beforeEach(async () => {
+    crud = helpers.createCRUD({
+      Product: {
+        fields: {
+          stock: field({
+            validate: (value) => value >= 0 || 'The stock cannot be negative'
+          })
+        }
+      }
+    }).crud;
+    await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer', stock: 1, tags: ['tools']}});
+  });
+
+  it('rejects queries other than updates which have an op', async () => {
+    let error = await crud.delete({type: 'Product', id: 'p1', field: 'tags', op: 'pull', value: 'tools'}).catch((err) => err);
+    assert.strictEqual(error.code, 'INVALID_QUERY');
+    let product = await crud.read({type: 'Product', id: 'p1'});
+    assert.deepStrictEqual(product.tags, ['tools']);
+  });
+
+  it('fails with a conflict if a validated field was changed after it was read', async () => {
+    // Another write lands between the validation and the operation.
+    let applyFieldOperation = crud.adapter.applyFieldOperation.bind(crud.adapter);
+    crud.adapter.applyFieldOperation = (type, id, fieldName, operation, value, options, cb) => {
+      crud.adapter.patch(type, id, {stock: 0}, {}, () => {
+        applyFieldOperation(type, id, fieldName, operation, value, options, cb);
+      });
+    };
+    let error = await crud.update({type: 'Product', id: 'p1', field: 'stock', op: 'dec', value: 1}).catch((err) => err);
+    assert.strictEqual(error.code, 'CONFLICT');
+    assert.strictEqual(error.currentValue.stock, 0);
+
+    crud.adapter.applyFieldOperation = applyFieldOperation;
+    await crud.update({type: 'Product', id: 'p1', field: 'tags', op: 'push', value: 'hardware'});
+    let product = await crud.read({type: 'Product', id: 'p1'});
+    assert.deepStrictEqual(product.tags, ['tools', 'hardware']);
+  });
+
+  it('checks the expected value of the field inside the RethinkDB write', () => {
+    let adapter = new ThinkyAdapter();
+    let writeQuery = null;
+    adapter.r = {
+      branch: r.branch.bind(r),
+      expr: r.expr.bind(r),
+      table: (type) => {
+        return {
+          get: (id) => {
+            return {
+              replace: (transform, options) => {
+                writeQuery = r.table(type).get(id).replace(transform, options);
+                return {run: () => {}};
+              }
+            };
+          }
+        };
+      }
+    };
+    adapter.schema = {Product: {fields: {}}};
+    adapter.applyFieldOperation('Product', 'p1', 'stock', 'dec', 1, {expectedValue: 1}, () => {});
+    let queryString = writeQuery.toString();
+    assert.ok(/\("stock"\)\.default\(null\)\.eq\(1\)/.test(queryString), queryString);
+  });
+});
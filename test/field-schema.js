@@ -0,0 +1,60 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+const fieldSchema = require('../field-schema');
+const field = require('../index').field;
+
+describe('field schema', () => {
+  it('only treats fields which are declared with the field function as metadata', () => {
+    let stringType = {_type: String};
+    let schema = {
+      Product: {
+        fields: {
+          name: field({type: stringType, access: {read: false}}),
+          // A nested thinky schema which happens to have a type field.
+          dimensions: {type: stringType, width: stringType}
+        }
+      }
+    };
+    assert.strictEqual(fieldSchema.getFieldMetadata(schema, 'Product', 'name').access.read, false);
+    assert.deepStrictEqual(fieldSchema.getFieldMetadata(schema, 'Product', 'dimensions'), {});
+    assert.deepStrictEqual(fieldSchema.getThinkyFields(schema.Product.fields), {
+      name: stringType,
+      dimensions: {type: stringType, width: stringType}
+    });
+  });
+
+  it('leaves fields which only declare metadata out of the thinky schema', () => {
+    let fields = {
+      price: field({validate: () => {}})
+    };
+    assert.deepStrictEqual(fieldSchema.getThinkyFields(fields), {});
+  });
+
+  it('rejects unsupported metadata properties', () => {
+    assert.throws(() => {
+      field({type: {}, required: true});
+    }, /The required property is not supported/);
+  });
+
+  it('applies the metadata to client operations', async () => {
+    let {crud, server} = helpers.createCRUD({
+      Product: {
+        fields: {
+          cost: field({access: {read: false}}),
+          price: field({
+            validate: (value) => value >= 0 || 'The price cannot be negative'
+          })
+        }
+      }
+    });
+    await crud.create({type: 'Product', value: {id: 'p1', cost: 5, price: 10}});
+    let socket = helpers.connect(server);
+
+    let product = await socket.request('read', {type: 'Product', id: 'p1'});
+    assert.strictEqual(product.cost, undefined);
+    assert.strictEqual(product.price, 10);
+
+    let error = await socket.request('update', {type: 'Product', id: 'p1', field: 'price', value: -1}).catch((err) => err);
+    assert.strictEqual(error.fieldErrors.price.message, 'The price cannot be negative');
+  });
+});
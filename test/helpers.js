@@ -0,0 +1,176 @@
+const EventEmitter = require('events').EventEmitter;
+const SCCRUDRethink = require('../index').SCCRUDRethink;
+const MemoryAdapter = require('../index').MemoryAdapter;
+
+// A minimal stand-in for a SocketCluster server: the exchange delivers published messages
+// to watchers asynchronously (like the broker does) and middleware can be run on fake sockets.
+let createServer = function () {
+  let server = new EventEmitter();
+  let channels = {};
+  let middleware = {};
+
+  server.published = [];
+  server.MIDDLEWARE_EMIT = 'emit';
+  server.MIDDLEWARE_SUBSCRIBE = 'subscribe';
+  server.MIDDLEWARE_PUBLISH_IN = 'publishIn';
+
+  let getChannel = (channelName) => {
+    if (!channels[channelName]) {
+      let channel = new EventEmitter();
+      channel.name = channelName;
+      channel.state = 'unsubscribed';
+      channel.watchers = [];
+      channel.watch = (handler) => {
+        channel.watchers.push(handler);
+      };
+      channel.unsubscribe = () => {
+        channel.state = 'unsubscribed';
+      };
+      channel.destroy = () => {
+        channel.watchers = [];
+        delete channels[channelName];
+      };
+      channels[channelName] = channel;
+    }
+    return channels[channelName];
+  };
+
+  server.exchange = {
+    publish: (channelName, data) => {
+      server.published.push({channel: channelName, data: data});
+      let channel = channels[channelName];
+      if (channel && channel.state === 'subscribed') {
+        setImmediate(() => {
+          channel.watchers.forEach((handler) => {
+            handler(data);
+          });
+        });
+      }
+    },
+    subscribe: (channelName) => {
+      let channel = getChannel(channelName);
+      if (channel.state === 'unsubscribed') {
+        channel.state = 'pending';
+        setImmediate(() => {
+          channel.state = 'subscribed';
+          channel.emit('subscribe');
+        });
+      }
+      return channel;
+    },
+    channel: getChannel,
+    isSubscribed: (channelName, includePending) => {
+      let channel = channels[channelName];
+      if (!channel) {
+        return false;
+      }
+      return channel.state === 'subscribed' || (!!includePending && channel.state === 'pending');
+    }
+  };
+
+  server.addMiddleware = (type, handler) => {
+    if (!middleware[type]) {
+      middleware[type] = [];
+    }
+    middleware[type].push(handler);
+  };
+
+  server.runMiddleware = (type, req, callback) => {
+    let handlers = middleware[type] || [];
+    let index = 0;
+    let next = (err) => {
+      if (err || index >= handlers.length) {
+        callback(err || null);
+        return;
+      }
+      handlers[index++](req, next);
+    };
+    next();
+  };
+
+  server.getChannels = () => {
+    return channels;
+  };
+
+  return server;
+};
+
+let createCRUD = function (schema, options) {
+  let server = createServer();
+  let crud = new SCCRUDRethink(Object.assign({
+    worker: {scServer: server},
+    schema: schema,
+    adapter: new MemoryAdapter(),
+    promises: true,
+    logger: {
+      error: () => {},
+      warn: () => {},
+      info: () => {}
+    }
+  }, options));
+  return {
+    crud: crud,
+    server: server
+  };
+};
+
+// A fake client socket - Events go through the EMIT middleware before they reach sc-crud-rethink.
+let connect = function (server, authToken) {
+  let socket = new EventEmitter();
+  socket.id = 'socket' + Math.random();
+  socket.authToken = authToken || null;
+  let handlers = {};
+  socket.on = (event, handler) => {
+    handlers[event] = handler;
+  };
+  socket.request = (event, data) => {
+    return new Promise((resolve, reject) => {
+      server.runMiddleware(server.MIDDLEWARE_EMIT, {socket: socket, event: event, data: data}, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        handlers[event](data, (err, result) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(result);
+          }
+        });
+      });
+    });
+  };
+  socket.subscribe = (channel) => {
+    return new Promise((resolve, reject) => {
+      server.runMiddleware(server.MIDDLEWARE_SUBSCRIBE, {socket: socket, channel: channel}, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  };
+  server.emit('_handshake', socket);
+  return socket;
+};
+
+let wait = function (duration) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, duration || 0);
+  });
+};
+
+let getMessages = function (server, channel) {
+  return server.published.filter((message) => {
+    return message.channel === channel;
+  }).map((message) => {
+    return message.data;
+  });
+};
+
+module.exports.createServer = createServer;
+module.exports.createCRUD = createCRUD;
+module.exports.connect = connect;
+module.exports.wait = wait;
+module.exports.getMessages = getMessages;
@@ -0,0 +1,97 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+const queryTransformer = require('../query-transformer');
+const Audit = require('../audit');
+const field = require('../index').field;
+
+describe('history', () => {
+  let crud;
+  let server;
+
+  beforeEach(async () => {
+    let setup = helpers.createCRUD({
+      Account: {
+        audit: true,
+        fields: {
+          pin: field({access: {read: false}})
+        },
+        filters: {
+          pre: (req, next) => {
+            next();
+          },
+          post: (req, next) => {
+            next(!req.resource || req.resource.owner !== req.authToken.sub);
+          }
+        }
+      }
+    });
+    crud = setup.crud;
+    server = setup.server;
+    await crud.create({type: 'Account', value: {id: 'a1', owner: 'alice', name: 'Savings', pin: '1234'}});
+    await crud.update({type: 'Account', id: 'a1', value: {name: 'Rainy day', pin: '4321'}});
+  });
+
+  it('removes the fields which the socket is not allowed to read from the records', async () => {
+    let socket = helpers.connect(server, {sub: 'alice'});
+    let page = await socket.request('history', {type: 'Account', id: 'a1'});
+    assert.strictEqual(page.data.length, 2);
+    page.data.forEach((record) => {
+      assert.strictEqual(record.fields.pin, undefined);
+    });
+    let updateRecord = page.data.find((record) => record.action === 'update');
+    assert.deepStrictEqual(updateRecord.fields.name, {before: 'Savings', after: 'Rainy day'});
+
+    // Server-side reads are not filtered.
+    let serverPage = await crud.readHistory({type: 'Account', id: 'a1'});
+    let serverUpdateRecord = serverPage.data.find((record) => record.action === 'update');
+    assert.deepStrictEqual(serverUpdateRecord.fields.pin, {before: '1234', after: '4321'});
+  });
+
+  it('applies the post filter of the model with the current document', async () => {
+    let socket = helpers.connect(server, {sub: 'bob'});
+    let error = await socket.request('history', {type: 'Account', id: 'a1'}).catch((err) => err);
+    assert.strictEqual(error.code, 'BLOCKED');
+  });
+
+  it('checks the read rules against the last values of a deleted document', async () => {
+    let {crud, server} = helpers.createCRUD({
+      Note: {
+        audit: true,
+        fields: {
+          text: field({access: {read: (authToken, resource) => resource.owner === authToken.sub && resource.secret !== true}})
+        },
+        filters: {
+          pre: (req, next) => {
+            next();
+          },
+          post: (req, next) => {
+            next();
+          }
+        }
+      }
+    });
+    await crud.create({type: 'Note', value: {id: 'n1', owner: 'alice', text: 'Shopping list'}});
+    await crud.create({type: 'Note', value: {id: 'n2', owner: 'alice', secret: true, text: 'Safe code'}});
+    await crud.delete({type: 'Note', id: 'n1'});
+    await crud.delete({type: 'Note', id: 'n2'});
+
+    let socket = helpers.connect(server, {sub: 'alice'});
+    let page = await socket.request('history', {type: 'Note', id: 'n1'});
+    let deleteRecord = page.data.find((record) => record.action === 'delete');
+    assert.deepStrictEqual(deleteRecord.fields.text, {before: 'Shopping list', after: null});
+
+    page = await socket.request('history', {type: 'Note', id: 'n2'});
+    page.data.forEach((record) => {
+      assert.strictEqual(record.fields.text, undefined);
+    });
+  });
+
+  it('reads the records through a compound index', () => {
+    let audit = new Audit({});
+    let schema = {};
+    schema[audit.tableName] = audit.getSchema();
+    assert.deepStrictEqual(queryTransformer.getOrderIndexes({schema: schema}, audit.tableName), [
+      {name: 'resourceType_resourceId_timestamp_id', fields: ['resourceType', 'resourceId', 'timestamp', 'id']}
+    ]);
+  });
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+
+describe('hooks', () => {
+  let crud;
+  let calls;
+
+  beforeEach(async () => {
+    calls = [];
+    let recordHook = (hookName) => {
+      return (req, next) => {
+        calls.push(`${hookName} ${req.query.type}/${req.query.id || req.query.value.id}`);
+        next();
+      };
+    };
+    let setup = helpers.createCRUD({
+      Product: {
+        fields: {},
+        softDelete: true,
+        relations: {
+          reviews: {type: 'hasMany', model: 'Review', foreignKey: 'productId', onDelete: 'cascade'}
+        },
+        hooks: {
+          beforeCreate: (req, next) => {
+            if (req.query.value.name === 'Broken') {
+              throw new Error('Hook bug');
+            }
+            next();
+          },
+          beforeRestore: recordHook('beforeRestore'),
+          afterRestore: recordHook('afterRestore'),
+          afterUpdate: () => {
+            throw new Error('After hook bug');
+          }
+        }
+      },
+      Review: {
+        fields: {},
+        hooks: {
+          beforeDelete: recordHook('beforeDelete'),
+          afterDelete: recordHook('afterDelete')
+        }
+      }
+    });
+    crud = setup.crud;
+    await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer'}});
+    await crud.create({type: 'Review', value: {id: 'r1', productId: 'p1', text: 'Sturdy'}});
+  });
+
+  it('turns before hooks which throw into a CRUDHookError', async () => {
+    let error = await crud.create({type: 'Product', value: {id: 'p2', name: 'Broken'}}).catch((err) => err);
+    assert.strictEqual(error.code, 'HOOK_FAILED');
+    assert.strictEqual(error.details.hook, 'beforeCreate');
+  });
+
+  it('emits a warning for after hooks which throw', async () => {
+    let warnings = [];
+    crud.on('warning', (warning) => {
+      warnings.push(warning);
+    });
+    await crud.update({type: 'Product', id: 'p1', field: 'name', value: 'Claw hammer'});
+    assert.strictEqual(warnings.length, 1);
+    assert.strictEqual(warnings[0].code, 'HOOK_FAILED');
+    assert.strictEqual(warnings[0].details.hook, 'afterUpdate');
+  });
+
+  it('calls the hooks of documents which are deleted because of onDelete rules', async () => {
+    await crud.delete({type: 'Product', id: 'p1'});
+    assert.deepStrictEqual(calls, ['beforeDelete Review/r1', 'afterDelete Review/r1']);
+  });
+
+  it('calls the restore hooks', async () => {
+    await crud.delete({type: 'Product', id: 'p1'});
+    calls = [];
+    await crud.restore({type: 'Product', id: 'p1'});
+    assert.deepStrictEqual(calls, ['beforeRestore Product/p1', 'afterRestore Product/p1']);
+  });
+});
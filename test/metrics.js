@@ -0,0 +1,61 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+
+describe('metrics', () => {
+  let crud;
+  let server;
+
+  beforeEach(async () => {
+    let setup = helpers.createCRUD({
+      Product: {
+        fields: {},
+        softDelete: true,
+        audit: true,
+        filters: {
+          post: (req, next) => {
+            if (req.query.value === 'Secret') {
+              let error = new Error('Not for you');
+              error.name = 'CustomError' + Math.random();
+              next(error);
+            } else {
+              next();
+            }
+          }
+        }
+      }
+    });
+    crud = setup.crud;
+    server = setup.server;
+    await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer'}});
+  });
+
+  it('records model types which are not part of the schema as invalid', async () => {
+    let socket = helpers.connect(server);
+    await socket.request('read', {type: 'Random' + Math.random(), id: 'p1'}).catch(() => {});
+    let operations = crud.getMetrics().operations;
+    assert.deepStrictEqual(Object.keys(operations.read), ['invalid']);
+    assert.strictEqual(operations.read.invalid.CRUDInvalidModelType, 1);
+  });
+
+  it('only records the names of CRUD errors as outcomes', async () => {
+    let socket = helpers.connect(server);
+    await socket.request('update', {type: 'Product', id: 'p1', field: 'name', value: 'Claw hammer'});
+    let error = await socket.request('update', {type: 'Product', id: 'p1', field: 'name', value: 'Secret'}).catch((err) => err);
+    assert.strictEqual(error.name, 'CRUDDatabaseError');
+    let outcomes = crud.getMetrics().operations.update.Product;
+    assert.deepStrictEqual(outcomes, {success: 1, Error: 1});
+  });
+
+  it('measures restore, upsert, history and batch operations', async () => {
+    await crud.delete({type: 'Product', id: 'p1'});
+    await crud.restore({type: 'Product', id: 'p1'});
+    await crud.upsert({type: 'Product', id: 'p2', value: {name: 'Saw'}});
+    await crud.readHistory({type: 'Product', id: 'p1'});
+    await crud.batch([{action: 'update', query: {type: 'Product', id: 'p2', field: 'name', value: 'Hand saw'}}]);
+    let operations = crud.getMetrics().operations;
+    assert.strictEqual(operations.restore.Product.success, 1);
+    assert.strictEqual(operations.upsert.Product.success, 1);
+    assert.strictEqual(operations.history.Product.success, 1);
+    assert.strictEqual(operations.batch.unknown.success, 1);
+  });
+});
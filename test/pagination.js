@@ -0,0 +1,133 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+const queryTransformer = require('../query-transformer');
+const cursor = require('../cursor');
+
+// Records the chain of RethinkDB calls which is made on a query.
+let createRecordingQuery = function (calls) {
+  let query = {};
+  ['between', 'orderBy', 'filter', 'slice', 'limit'].forEach((method) => {
+    query[method] = (...args) => {
+      calls.push([method].concat(args));
+      return query;
+    };
+  });
+  return query;
+};
+
+let r = {
+  minval: 'MINVAL',
+  maxval: 'MAXVAL',
+  asc: (indexName) => {
+    return {asc: indexName};
+  },
+  desc: (indexName) => {
+    return {desc: indexName};
+  }
+};
+
+let schema = {
+  Product: {
+    fields: {},
+    views: {
+      all: {},
+      newest: {
+        orderKey: 'createdAt',
+        orderDirection: 'desc'
+      },
+      categoryProducts: {
+        paramFields: ['category'],
+        indexParamFields: ['category'],
+        orderKey: 'name',
+        filter: (resource, params) => {
+          return resource.category === params.category;
+        }
+      }
+    }
+  }
+};
+
+describe('pagination', () => {
+  describe('indexed view queries', () => {
+    let options = {schema: schema, thinky: {r: r}};
+
+    it('declares a compound index for each view which has an orderKey', () => {
+      assert.deepStrictEqual(queryTransformer.getOrderIndexes(options, 'Product'), [
+        {name: 'createdAt_id', fields: ['createdAt', 'id']},
+        {name: 'category_name_id', fields: ['category', 'name', 'id']}
+      ]);
+    });
+
+    it('leaves views without an orderKey unindexed', () => {
+      let ModelClass = createRecordingQuery([]);
+      assert.strictEqual(queryTransformer.constructIndexedRethinkQuery(options, ModelClass, 'Product', 'all', {}, {}), ModelClass);
+    });
+
+    it('reads the first page from the index instead of sorting the table', () => {
+      let calls = [];
+      queryTransformer.constructIndexedRethinkQuery(options, createRecordingQuery(calls), 'Product', 'categoryProducts', {category: 'tools'}, {});
+      assert.deepStrictEqual(calls, [
+        ['between', ['tools', 'MINVAL', 'MINVAL'], ['tools', 'MAXVAL', 'MAXVAL'], {index: 'category_name_id'}],
+        ['orderBy', {index: {asc: 'category_name_id'}}]
+      ]);
+    });
+
+    it('starts after the cursor and walks descending views backwards from the upper bound', () => {
+      let after = cursor.encodeCursor({id: 'p5', createdAt: 5}, 'createdAt');
+      let calls = [];
+      queryTransformer.constructIndexedRethinkQuery(options, createRecordingQuery(calls), 'Product', 'newest', {}, {after: after});
+      assert.deepStrictEqual(calls, [
+        ['between', ['MINVAL', 'MINVAL'], [5, 'p5'], {index: 'createdAt_id', rightBound: 'open'}],
+        ['orderBy', {index: {desc: 'createdAt_id'}}]
+      ]);
+
+      calls = [];
+      queryTransformer.constructIndexedRethinkQuery(options, createRecordingQuery(calls), 'Product', 'newest', {}, {before: after});
+      assert.deepStrictEqual(calls, [
+        ['between', [5, 'p5'], ['MAXVAL', 'MAXVAL'], {index: 'createdAt_id', leftBound: 'open'}],
+        ['orderBy', {index: {asc: 'createdAt_id'}}]
+      ]);
+    });
+
+    it('only limits the indexed query when paging with a cursor', () => {
+      let calls = [];
+      queryTransformer.constructPagedRethinkQuery(options, createRecordingQuery(calls), 'Product', 'newest', {after: 'x', offset: 10}, 5);
+      assert.deepStrictEqual(calls, [['limit', 5]]);
+
+      calls = [];
+      queryTransformer.constructPagedRethinkQuery(options, createRecordingQuery(calls), 'Product', 'all', {offset: 10}, 5);
+      assert.deepStrictEqual(calls, [['slice', 10, 15]]);
+    });
+  });
+
+  describe('cursors', () => {
+    let crud;
+
+    beforeEach(async () => {
+      crud = helpers.createCRUD(schema).crud;
+      for (let i = 1; i <= 5; i++) {
+        await crud.create({type: 'Product', value: {id: 'p' + i, name: 'Product ' + i, category: 'tools', createdAt: i}});
+      }
+    });
+
+    it('pages forwards and backwards through a view', async () => {
+      let firstPage = await crud.read({type: 'Product', view: 'newest', pageSize: 2});
+      assert.deepStrictEqual(firstPage.data, ['p5', 'p4']);
+
+      let secondPage = await crud.read({type: 'Product', view: 'newest', pageSize: 2, after: firstPage.nextCursor});
+      assert.deepStrictEqual(secondPage.data, ['p3', 'p2']);
+
+      let previousPage = await crud.read({type: 'Product', view: 'newest', pageSize: 2, before: secondPage.prevCursor});
+      assert.deepStrictEqual(previousPage.data, ['p5', 'p4']);
+    });
+
+    it('does not skip documents when the view changes between page reads', async () => {
+      let firstPage = await crud.read({type: 'Product', view: 'categoryProducts', viewParams: {category: 'tools'}, pageSize: 2});
+      assert.deepStrictEqual(firstPage.data, ['p1', 'p2']);
+      await crud.delete({type: 'Product', id: 'p1'});
+
+      let secondPage = await crud.read({type: 'Product', view: 'categoryProducts', viewParams: {category: 'tools'}, pageSize: 2, after: firstPage.nextCursor});
+      assert.deepStrictEqual(secondPage.data, ['p3', 'p4']);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const assert = require('assert');
+const r = require('rethinkdbdash')({pool: false});
+const helpers = require('./helpers');
+const ThinkyAdapter = require('../thinky-adapter');
+
+describe('view positions', () => {
+  let schema;
+
+  beforeEach(() => {
+    schema = {
+      Product: {
+        fields: {},
+        views: {
+          byPrice: {
+            orderKey: 'price',
+            affectingFields: ['price'],
+            emitPositions: true
+          }
+        },
+        filters: {
+          post: (req, next) => {
+            next(req.resource.locked === true);
+          }
+        }
+      }
+    };
+  });
+
+  it('only allows views which have an orderKey to emit positions', () => {
+    delete schema.Product.views.byPrice.orderKey;
+    assert.throws(() => {
+      helpers.createCRUD(schema);
+    }, /must have an orderKey to emit positions/);
+  });
+
+  it('emits the old and the new index of a document which moves within the view', async () => {
+    let {crud, server} = helpers.createCRUD(schema);
+    await crud.create({type: 'Product', value: {id: 'p1', price: 10}});
+    await crud.create({type: 'Product', value: {id: 'p2', price: 20}});
+    let socket = helpers.connect(server);
+    await socket.request('update', {type: 'Product', id: 'p1', field: 'price', value: 30});
+    await helpers.wait(10);
+    let messages = helpers.getMessages(server, 'crud>byPrice({}):Product');
+    assert.deepStrictEqual(messages[messages.length - 1], {type: 'update', action: 'move', id: 'p1', fromIndex: 0, toIndex: 1});
+  });
+
+  it('does not look up positions for writes which the post filter blocks', async () => {
+    let {crud, server} = helpers.createCRUD(schema);
+    await crud.create({type: 'Product', value: {id: 'p1', price: 10, locked: true}});
+    let lookups = 0;
+    crud.adapter.viewIndexOf = (type, viewName, viewParams, id, callback) => {
+      lookups++;
+      callback(null, 0);
+    };
+    let socket = helpers.connect(server);
+    let updateError = await socket.request('update', {type: 'Product', id: 'p1', field: 'price', value: 30}).catch((err) => err);
+    assert.strictEqual(updateError.code, 'BLOCKED');
+    let deleteError = await socket.request('delete', {type: 'Product', id: 'p1'}).catch((err) => err);
+    assert.strictEqual(deleteError.code, 'BLOCKED');
+    assert.strictEqual(lookups, 0);
+  });
+
+  describe('RethinkDB adapter', () => {
+    it('counts the documents which come before the document in the order index', (done) => {
+      let queries = [];
+      // Records the queries which are run against the model instead of running them.
+      let createQuery = (term) => {
+        return {
+          between: (...args) => createQuery(term.between(...args)),
+          orderBy: (...args) => createQuery(term.orderBy(...args)),
+          filter: (...args) => createQuery(term.filter(...args)),
+          count: () => createQuery(term.count()),
+          execute: (cb) => {
+            queries.push(term.toString());
+            cb(null, queries.length === 1 ? 1 : 3);
+          }
+        };
+      };
+      let adapter = new ThinkyAdapter();
+      adapter.schema = schema;
+      adapter.thinky = {r: r};
+      adapter.r = {
+        table: () => {
+          return {
+            get: () => {
+              return {
+                run: (cb) => {
+                  cb(null, {id: 'p1', price: 10});
+                }
+              };
+            }
+          };
+        }
+      };
+      adapter.models = {Product: createQuery(r.table('Product'))};
+      adapter.viewIndexOf('Product', 'byPrice', {}, 'p1', (err, index) => {
+        assert.strictEqual(err, null);
+        assert.strictEqual(index, 3);
+        assert.strictEqual(queries[0], 'r.table("Product").between([10, "p1"], [10, "p1"], {\n    index: "price_id",\n    rightBound: "closed"\n}).count()');
+        assert.ok(/^r\.table\("Product"\)\.between\(\[r\.minval, r\.minval\], \[10, "p1"\]/.test(queries[1]), queries[1]);
+        assert.ok(/rightBound: "open"/.test(queries[1]));
+        assert.ok(/\.count\(\)$/.test(queries[1]));
+        done();
+      });
+    });
+  });
+});
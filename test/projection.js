@@ -0,0 +1,72 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+const field = require('../index').field;
+
+describe('field projection', () => {
+  let crud;
+  let server;
+
+  beforeEach(async () => {
+    let setup = helpers.createCRUD({
+      Product: {
+        fields: {
+          name: field({}),
+          price: field({}),
+          description: field({}),
+          cost: field({access: {read: false}}),
+          owner: field({})
+        },
+        computedFields: {
+          label: {
+            dependsOn: ['name'],
+            compute: (resource) => resource.name.toUpperCase()
+          }
+        },
+        filters: {
+          post: (req, next) => {
+            next(req.resource.owner !== req.authToken.sub);
+          }
+        }
+      }
+    });
+    crud = setup.crud;
+    server = setup.server;
+    await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer', price: 10, description: 'A heavy tool', cost: 4, owner: 'alice'}});
+  });
+
+  it('only returns the requested fields', async () => {
+    let socket = helpers.connect(server, {sub: 'alice'});
+    let product = await socket.request('read', {type: 'Product', id: 'p1', fields: ['name', 'price', 'label']});
+    assert.deepStrictEqual(product, {name: 'Hammer', price: 10, label: 'HAMMER'});
+  });
+
+  it('serves the fields from the cached document', async () => {
+    let socket = helpers.connect(server, {sub: 'alice'});
+    await socket.request('read', {type: 'Product', id: 'p1'});
+    let getCalls = 0;
+    let get = crud.adapter.get;
+    crud.adapter.get = function () {
+      getCalls++;
+      return get.apply(this, arguments);
+    };
+    let product = await socket.request('read', {type: 'Product', id: 'p1', fields: ['price']});
+    assert.deepStrictEqual(product, {price: 10});
+    assert.strictEqual(getCalls, 0);
+  });
+
+  it('rejects fields which are not declared in the schema', async () => {
+    let error = await crud.read({type: 'Product', id: 'p1', fields: ['name', 'secret']}).catch((err) => err);
+    assert.strictEqual(error.code, 'INVALID_QUERY');
+  });
+
+  it('applies the post filter and the field access rules', async () => {
+    let bobSocket = helpers.connect(server, {sub: 'bob'});
+    let error = await bobSocket.request('read', {type: 'Product', id: 'p1', fields: ['name']}).catch((err) => err);
+    assert.strictEqual(error.code, 'BLOCKED');
+
+    let aliceSocket = helpers.connect(server, {sub: 'alice'});
+    let fieldError = await aliceSocket.request('read', {type: 'Product', id: 'p1', fields: ['name', 'cost']}).catch((err) => err);
+    assert.strictEqual(fieldError.code, 'BLOCKED');
+    assert.deepStrictEqual(fieldError.fields, ['cost']);
+  });
+});
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+
+describe('promises', () => {
+  let schema = {
+    Product: {
+      fields: {}
+    }
+  };
+
+  it('returns promises by default', async () => {
+    let {crud} = helpers.createCRUD(schema, {promises: undefined});
+    let id = await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer'}});
+    let product = await crud.read({type: 'Product', id: id});
+    assert.strictEqual(product.name, 'Hammer');
+    let error = await crud.notifyUpdate({type: 'Product'}).catch((err) => err);
+    assert.strictEqual(error.name, 'InvalidArgumentsError');
+  });
+
+  it('does not return promises when the promises option is disabled', async () => {
+    let {crud} = helpers.createCRUD(schema, {promises: false});
+    assert.strictEqual(crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer'}}), undefined);
+    // Failed operations which are called without a callback do not lead to unhandled rejections.
+    assert.strictEqual(crud.read({type: 'Product', id: 'missing'}), undefined);
+    await helpers.wait(10);
+
+    let product = await new Promise((resolve, reject) => {
+      crud.read({type: 'Product', id: 'p1'}, (err, result) => {
+        err ? reject(err) : resolve(result);
+      });
+    });
+    assert.strictEqual(product.name, 'Hammer');
+  });
+
+  it('throws invalid notification details when there is no callback and promises are disabled', async () => {
+    let {crud} = helpers.createCRUD(schema, {promises: false});
+    assert.throws(() => {
+      crud.notifyUpdate({type: 'Product'});
+    }, /did not have either an oldResource or newResource property/);
+
+    let {crud: promiseCrud} = helpers.createCRUD(schema);
+    let error = await promiseCrud.notifyUpdate({type: 'Product'}).catch((err) => err);
+    assert.strictEqual(error.name, 'InvalidArgumentsError');
+  });
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+const RateLimiter = require('../rate-limiter');
+
+describe('rate limiter', () => {
+  let socket = {id: 'socket1', authToken: {sub: 'alice'}};
+  let createRequest = (action) => {
+    return {socket: socket, action: action, query: {type: 'Product', id: 'p1'}};
+  };
+
+  it('does not take any tokens for a list of requests which is rejected', () => {
+    let rateLimiter = new RateLimiter({
+      limits: {
+        socket: {capacity: 2, refillRate: 0.001},
+        models: {Product: {update: {capacity: 10, refillRate: 0.001}}}
+      }
+    });
+    let error = rateLimiter.consumeAll([createRequest('update'), createRequest('update'), createRequest('update')]);
+    assert.strictEqual(error.name, 'CRUDRateLimitedError');
+    assert.deepStrictEqual(error.limits, ['socket']);
+
+    assert.strictEqual(rateLimiter.consume(createRequest('update')), null);
+    assert.strictEqual(rateLimiter.consume(createRequest('update')), null);
+    assert.notStrictEqual(rateLimiter.consume(createRequest('update')), null);
+  });
+
+  it('does not give a retryAfter to a list of requests which needs more tokens than the capacity of a limit', () => {
+    let rateLimiter = new RateLimiter({
+      limits: {
+        socket: {capacity: 2, refillRate: 0.001},
+        models: {Product: {update: {capacity: 10, refillRate: 0.001}}}
+      }
+    });
+    rateLimiter.consume(createRequest('update'));
+    let error = rateLimiter.consumeAll([createRequest('update'), createRequest('update')]);
+    assert.strictEqual(error.retryable, undefined);
+    assert.ok(error.retryAfter > 0);
+
+    error = rateLimiter.consumeAll([createRequest('update'), createRequest('update'), createRequest('update')]);
+    assert.strictEqual(error.retryable, false);
+    assert.strictEqual(error.retryAfter, undefined);
+    assert.strictEqual(error.details.retryAfter, undefined);
+    assert.deepStrictEqual(error.limits, ['socket']);
+  });
+
+  it('rejects batches which exceed the limits without using up the tokens of their operations', async () => {
+    let {crud, server} = helpers.createCRUD({
+      Product: {
+        fields: {}
+      }
+    }, {
+      rateLimits: {
+        socket: {capacity: 3, refillRate: 0.001}
+      }
+    });
+    await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer'}});
+    let client = helpers.connect(server);
+    let operations = [1, 2, 3, 4].map((index) => {
+      return {action: 'update', query: {type: 'Product', id: 'p1', field: 'name', value: 'Hammer ' + index}};
+    });
+    let error = await client.request('batch', operations).catch((err) => err);
+    assert.strictEqual(error.name, 'CRUDRateLimitedError');
+
+    await client.request('batch', operations.slice(0, 3));
+    let product = await crud.read({type: 'Product', id: 'p1'});
+    assert.strictEqual(product.name, 'Hammer 3');
+  });
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const r = require('rethinkdbdash')({pool: false});
+const helpers = require('./helpers');
+const ThinkyAdapter = require('../thinky-adapter');
+
+describe('relations', () => {
+  describe('RethinkDB adapter', () => {
+    let adapter;
+    let queryString;
+
+    // Records the query which is run against the table instead of running it.
+    let createQuery = (term) => {
+      return {
+        filter: (fn) => createQuery(term.filter(fn)),
+        run: () => {
+          queryString = term.toString();
+        }
+      };
+    };
+    let createModel = (type) => {
+      return {
+        getAll: (...args) => createQuery(r.table(type).getAll(...args)),
+        filter: (fn) => createQuery(r.table(type).filter(fn))
+      };
+    };
+
+    beforeEach(() => {
+      queryString = null;
+      adapter = new ThinkyAdapter();
+      adapter.r = r;
+      adapter.schema = {
+        Category: {fields: {}},
+        Product: {
+          fields: {},
+          relations: {
+            category: {type: 'belongsTo', model: 'Category', foreignKey: 'categoryId'},
+            reviews: {type: 'hasMany', model: 'Review', foreignKey: 'productId'}
+          }
+        },
+        Review: {fields: {}}
+      };
+      adapter.models = {
+        Category: createModel('Category'),
+        Product: createModel('Product'),
+        Review: createModel('Review')
+      };
+      adapter.foreignKeyIndexes = adapter._getForeignKeyIndexes();
+    });
+
+    it('indexes the foreign keys of relations', () => {
+      assert.deepStrictEqual(adapter.foreignKeyIndexes, {
+        Product: {categoryId: true},
+        Review: {productId: true}
+      });
+    });
+
+    it('looks up related documents by id and by foreign key without scanning the table', () => {
+      adapter.findByField('Category', 'id', ['c1', 'c2'], () => {});
+      assert.strictEqual(queryString, 'r.table("Category").getAll("c1", "c2")');
+
+      adapter.findByField('Review', 'productId', ['p1'], () => {});
+      assert.strictEqual(queryString, 'r.table("Review").getAll("p1", {\n    index: "productId"\n})');
+    });
+
+    it('looks up the dependents of delete rules through the foreign key indexes', () => {
+      adapter.schema.Comment = {
+        fields: {},
+        relations: {
+          product: {type: 'belongsTo', model: 'Product', foreignKey: 'productId', onDelete: 'cascade'}
+        }
+      };
+      adapter.schema.Product.relations.reviews.onDelete = 'nullify';
+      adapter.models.Comment = createModel('Comment');
+      adapter.foreignKeyIndexes = adapter._getForeignKeyIndexes();
+
+      let crud = helpers.createCRUD(adapter.schema).crud;
+      let rules = crud._getDeleteRules('Product');
+      assert.strictEqual(rules.length, 2);
+      rules.forEach((rule) => {
+        adapter.findByField(rule.model, rule.foreignKey, ['p1'], () => {});
+        assert.ok(/^r\.table\("\w+"\)\.getAll\("p1", \{\n    index: "productId"\n\}\)$/.test(queryString), queryString);
+      });
+    });
+  });
+});
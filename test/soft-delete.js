@@ -0,0 +1,39 @@
+const assert = require('assert');
+const helpers = require('./helpers');
+
+describe('soft delete', () => {
+  let crud;
+  let server;
+
+  beforeEach(async () => {
+    let setup = helpers.createCRUD({
+      Product: {
+        fields: {},
+        softDelete: true,
+        filters: {
+          post: (req, next) => {
+            next();
+          }
+        }
+      }
+    });
+    crud = setup.crud;
+    server = setup.server;
+    await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer'}});
+    await crud.delete({type: 'Product', id: 'p1'});
+  });
+
+  it('treats soft-deleted documents as absent when they are read', async () => {
+    let error = await crud.read({type: 'Product', id: 'p1'}).catch((err) => err);
+    assert.strictEqual(error.code, 'RESOURCE_DELETED');
+  });
+
+  it('does not let sockets subscribe to soft-deleted documents', async () => {
+    let socket = helpers.connect(server);
+    let error = await socket.subscribe('crud>Product/p1').catch((err) => err);
+    assert.strictEqual(error.code, 'RESOURCE_DELETED');
+
+    await crud.restore({type: 'Product', id: 'p1'});
+    await socket.subscribe('crud>Product/p1');
+  });
+});
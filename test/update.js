@@ -0,0 +1,39 @@
+const assert = require('assert');
+const r = require('rethinkdbdash')({pool: false});
+const helpers = require('./helpers');
+const ThinkyAdapter = require('../thinky-adapter');
+
+describe('update', () => {
+  it('replaces object-valued fields as a whole', async () => {
+    let {crud} = helpers.createCRUD({
+      Customer: {
+        fields: {}
+      }
+    });
+    await crud.create({type: 'Customer', value: {id: 'c1', address: {street: 'Main Street', city: 'Springfield'}}});
+    await crud.update({type: 'Customer', id: 'c1', value: {address: {city: 'Shelbyville'}}});
+    let customer = await crud.read({type: 'Customer', id: 'c1'});
+    assert.deepStrictEqual(customer.address, {city: 'Shelbyville'});
+  });
+
+  it('wraps the new values with r.literal in RethinkDB writes', () => {
+    let adapter = new ThinkyAdapter();
+    let writeQuery = null;
+    adapter.r = r;
+    adapter.schema = {Customer: {fields: {}}};
+    adapter.models = {
+      Customer: {
+        get: (id) => {
+          return {
+            replace: (transform) => {
+              writeQuery = r.table('Customer').get(id).replace(transform);
+              return {run: () => {}};
+            }
+          };
+        }
+      }
+    };
+    adapter.patch('Customer', 'c1', {address: {city: 'Shelbyville'}}, {}, () => {});
+    assert.ok(/address: r\.literal\(\{\s*city: "Shelbyville"\s*\}\)/.test(writeQuery.toString()));
+  });
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const thinkyErrors = require('thinky/lib/errors');
+const helpers = require('./helpers');
+const ThinkyAdapter = require('../thinky-adapter');
+
+describe('upsert', () => {
+  it('normalizes the duplicate primary key errors of RethinkDB', () => {
+    let adapter = new ThinkyAdapter();
+    adapter.thinky = {Errors: thinkyErrors};
+    let error = adapter._normalizeError(new Error('Duplicate primary key `id`:\n{\n\t"id":\t"p1"\n}\n{\n\t"id":\t"p1"\n}'), {
+      type: 'Product',
+      resource: {id: 'p1'}
+    });
+    assert.strictEqual(error.name, 'DuplicatePrimaryKeyError');
+    assert.strictEqual(error.message, 'A Product document with id p1 already exists');
+  });
+
+  it('rejects soft-deleted documents instead of creating or updating them', async () => {
+    let {crud} = helpers.createCRUD({
+      Product: {
+        fields: {},
+        softDelete: true
+      }
+    });
+    await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer'}});
+    await crud.delete({type: 'Product', id: 'p1'});
+    let error = await crud.upsert({type: 'Product', id: 'p1', value: {name: 'Claw hammer'}}).catch((err) => err);
+    assert.strictEqual(error.code, 'INVALID_OPERATION');
+    assert.ok(/restored first/.test(error.message));
+
+    await crud.restore({type: 'Product', id: 'p1'});
+    await crud.upsert({type: 'Product', id: 'p1', value: {name: 'Claw hammer'}});
+    let product = await crud.read({type: 'Product', id: 'p1'});
+    assert.strictEqual(product.name, 'Claw hammer');
+  });
+
+  describe('pre filter', () => {
+    let crud;
+    let server;
+    let preRequests;
+
+    beforeEach(async () => {
+      preRequests = [];
+      let setup = helpers.createCRUD({
+        Product: {
+          fields: {},
+          filters: {
+            pre: (req, next) => {
+              preRequests.push({action: req.action, query: req.query});
+              next(req.action === 'create');
+            }
+          }
+        }
+      });
+      crud = setup.crud;
+      server = setup.server;
+      await crud.create({type: 'Product', value: {id: 'p1', name: 'Hammer'}});
+    });
+
+    it('is called with the update action if the document exists', async () => {
+      let socket = helpers.connect(server);
+      await socket.request('upsert', {type: 'Product', id: 'p1', value: {name: 'Claw hammer'}});
+      assert.deepStrictEqual(preRequests, [{action: 'update', query: {type: 'Product', id: 'p1', value: {name: 'Claw hammer'}}}]);
+      let product = await crud.read({type: 'Product', id: 'p1'});
+      assert.strictEqual(product.name, 'Claw hammer');
+    });
+
+    it('is called with the create action if the document does not exist', async () => {
+      let socket = helpers.connect(server);
+      let error = await socket.request('upsert', {type: 'Product', id: 'p2', value: {name: 'Saw'}}).catch((err) => err);
+      assert.strictEqual(error.code, 'BLOCKED');
+      assert.deepStrictEqual(preRequests, [{action: 'create', query: {type: 'Product', value: {name: 'Saw', id: 'p2'}}}]);
+
+      error = await socket.request('batch', [{action: 'upsert', query: {type: 'Product', id: 'p3', value: {name: 'Drill'}}}]).catch((err) => err);
+      assert.ok(error);
+      let readError = await crud.read({type: 'Product', id: 'p3'}).catch((err) => err);
+      assert.strictEqual(readError.code, 'RESOURCE_NOT_FOUND');
+    });
+  });
+});
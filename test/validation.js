@@ -0,0 +1,106 @@
+const assert = require('assert');
+const schemaUtil = require('thinky/lib/schema');
+const thinkyType = require('thinky/lib/type');
+const thinkyErrors = require('thinky/lib/errors');
+const helpers = require('./helpers');
+const ThinkyAdapter = require('../thinky-adapter');
+const field = require('../index').field;
+
+describe('validation', () => {
+  describe('RethinkDB adapter', () => {
+    let adapter;
+
+    beforeEach(() => {
+      let modelOptions = {enforce_missing: false, enforce_extra: 'strict', enforce_type: 'loose'};
+      let modelSchema = schemaUtil.parse({
+        name: thinkyType.string().required(),
+        price: thinkyType.number(),
+        stock: thinkyType.number()
+      }, '', modelOptions);
+      adapter = new ThinkyAdapter();
+      adapter.thinky = {Errors: thinkyErrors};
+      adapter.models = {
+        Product: {
+          _getModel: () => {
+            return {_schema: modelSchema, _options: modelOptions};
+          }
+        }
+      };
+    });
+
+    it('reports every invalid field of a document', () => {
+      let error = adapter._normalizeError(new thinkyErrors.ValidationError('Value for [price] must be a finite number or null.'), {
+        type: 'Product',
+        resource: {price: 'free', stock: 'many', color: 'red'}
+      });
+      assert.strictEqual(error.name, 'ValidationError');
+      assert.deepStrictEqual(Object.keys(error.fieldErrors).sort(), ['color', 'name', 'price', 'stock']);
+      assert.strictEqual(error.fieldErrors.name.code, 'required');
+      assert.strictEqual(error.fieldErrors.price.code, 'invalidType');
+      assert.strictEqual(error.fieldErrors.color.code, 'extraField');
+    });
+
+    it('only checks the written fields of a partial update', () => {
+      let error = adapter._normalizeError(new thinkyErrors.ValidationError('Value for [price] must be a finite number or null.'), {
+        type: 'Product',
+        resource: {price: 'free'},
+        fields: ['price']
+      });
+      assert.deepStrictEqual(Object.keys(error.fieldErrors), ['price']);
+    });
+  });
+
+  describe('user functions', () => {
+    let crud;
+    let server;
+
+    beforeEach(async () => {
+      let setup = helpers.createCRUD({
+        Product: {
+          fields: {
+            price: field({
+              validate: () => {
+                throw new Error('Validator bug');
+              }
+            }),
+            cost: field({
+              access: {
+                read: () => {
+                  throw new Error('Access rule bug');
+                }
+              }
+            })
+          },
+          computedFields: {
+            margin: {
+              dependsOn: ['price'],
+              compute: () => {
+                throw new Error('Compute bug');
+              }
+            }
+          }
+        }
+      });
+      crud = setup.crud;
+      server = setup.server;
+      // Inserted through the adapter since the price validator would reject it.
+      await new Promise((resolve) => {
+        crud.adapter.insert('Product', {id: 'p1', name: 'Hammer', price: 10, cost: 5}, resolve);
+      });
+    });
+
+    it('turns validate functions which throw into field errors', async () => {
+      let error = await crud.update({type: 'Product', id: 'p1', field: 'price', value: 12}).catch((err) => err);
+      assert.strictEqual(error.code, 'VALIDATION_FAILED');
+      assert.deepStrictEqual(error.fieldErrors.price, {code: 'validationFailed', message: 'The price field could not be validated'});
+    });
+
+    it('gives computed fields whose compute function throws a null value and blocks fields whose access rule throws', async () => {
+      let socket = helpers.connect(server);
+      let product = await socket.request('read', {type: 'Product', id: 'p1'});
+      assert.strictEqual(product.margin, null);
+      assert.strictEqual(product.cost, undefined);
+      assert.strictEqual(product.name, 'Hammer');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const assert = require('assert');
+const r = require('rethinkdbdash')({pool: false});
+const helpers = require('./helpers');
+const ThinkyAdapter = require('../thinky-adapter');
+
+describe('versioning', () => {
+  describe('optimistic concurrency', () => {
+    let crud;
+
+    beforeEach(async () => {
+      crud = helpers.createCRUD({
+        Product: {
+          fields: {},
+          versioned: true
+        }
+      }).crud;
+      await crud.create({type: 'Product', value: {id: 'p1', stock: 10}});
+    });
+
+    it('applies updates which expect the current version', async () => {
+      await crud.update({type: 'Product', id: 'p1', field: 'stock', value: 9, expectedVersion: 1});
+      let product = await crud.read({type: 'Product', id: 'p1'});
+      assert.strictEqual(product.stock, 9);
+      assert.strictEqual(product.version, 2);
+    });
+
+    it('rejects the second of two updates which expect the same version', async () => {
+      await crud.update({type: 'Product', id: 'p1', field: 'stock', value: 9, expectedVersion: 1});
+      let error = await crud.update({type: 'Product', id: 'p1', field: 'stock', value: 8, expectedVersion: 1}).catch((err) => err);
+      assert.strictEqual(error.code, 'CONFLICT');
+      assert.strictEqual(error.currentVersion, 2);
+    });
+  });
+
+  describe('RethinkDB adapter', () => {
+    // Runs the versioned write against a fake table which responds with the given write result.
+    let replaceWithResult = (writeResult, options, callback) => {
+      let adapter = new ThinkyAdapter();
+      adapter.r = {
+        table: () => {
+          return {
+            get: () => {
+              return {
+                replace: () => {
+                  return {
+                    run: (cb) => {
+                      cb(null, writeResult);
+                    }
+                  };
+                }
+              };
+            }
+          };
+        }
+      };
+      adapter.schema = {Product: {fields: {}}};
+      adapter.thinky = {Errors: {DocumentNotFound: function () {}, ValidationError: function () {}}};
+      adapter.models = {
+        Product: function () {
+          this.validate = () => {};
+        }
+      };
+      adapter._versionedReplace('Product', 'p1', (doc) => doc, options, callback);
+    };
+
+    it('reports a conflict if another write has already moved the document to the expected next version', (done) => {
+      // The document was at version 2 (not 1) so it was left unchanged.
+      let current = {id: 'p1', stock: 8, version: 2};
+      replaceWithResult({unchanged: 1, changes: [{old_val: current, new_val: current}]}, {versionField: 'version', expectedVersion: 1}, (err) => {
+        assert.strictEqual(err.name, 'VersionConflictError');
+        assert.deepStrictEqual(err.resource, current);
+        done();
+      });
+    });
+
+    it('calls back with the new document if the old version matched', (done) => {
+      let change = {old_val: {id: 'p1', stock: 10, version: 1}, new_val: {id: 'p1', stock: 9, version: 2}};
+      replaceWithResult({replaced: 1, changes: [change]}, {versionField: 'version', expectedVersion: 1}, (err, resource) => {
+        assert.strictEqual(err, null);
+        assert.deepStrictEqual(resource, {id: 'p1', stock: 9, version: 2});
+        done();
+      });
+    });
+
+    it('checks the version inside the write query', () => {
+      let adapter = new ThinkyAdapter();
+      let writeQuery = null;
+      adapter.r = {
+        branch: r.branch.bind(r),
+        table: (type) => {
+          return {
+            get: (id) => {
+              return {
+                replace: (transform, options) => {
+                  writeQuery = r.table(type).get(id).replace(transform, options);
+                  return {run: () => {}};
+                }
+              };
+            }
+          };
+        }
+      };
+      adapter.schema = {Product: {fields: {}}};
+      adapter._versionedReplace('Product', 'p1', (doc) => doc, {versionField: 'version', expectedVersion: 1}, () => {});
+      let queryString = writeQuery.toString();
+      assert.ok(/\.eq\(1\)/.test(queryString));
+      assert.ok(/returnChanges: "always"/.test(queryString));
+    });
+  });
+});
@@ -0,0 +1,641 @@
+const thinky = require('thinky');
+const queryTransformer = require('./query-transformer');
+const cursor = require('./cursor');
+const getThinkyFields = require('./field-schema').getThinkyFields;
+const softDelete = require('./soft-delete');
+const generateId = require('./id-generator').generateId;
+const fieldOperations = require('./field-operations');
+
+/*
+  The default storage adapter - It stores documents in RethinkDB using thinky.
+  Views are constructed using the transform(rethinkQuery, r, viewParams)
+  function which is declared on each view in the schema.
+
+  Every storage adapter must implement the following methods - All callbacks
+  follow the Node.js (err, result) convention:
+    init(options): Called once by sc-crud-rethink with its options (including the schema).
+    get(type, id, callback): Get a single document. Must fail if the document does not exist.
+    getAll(type, ids, callback): Get the documents with the given ids - Documents which do not exist are left out.
+    insert(type, resource, callback): Insert a new document. Calls back with the saved document.
+    patch(type, id, fields, options, callback): Update some fields of a document. Object values replace the old
+      value of their field as a whole (they are not merged into it). Calls back with the new document.
+    replace(type, id, resource, callback): Replace a whole document.
+    deleteField(type, id, field, options, callback): Remove a single field from a document.
+      Calls back with the new document.
+    applyFieldOperation(type, id, field, operation, value, options, callback): Atomically apply one of the
+      operators of field-operations.js (inc, dec, push, addToSet, pull or setIfAbsent) to a field of a document.
+      Calls back with the new document.
+    delete(type, id, options, callback): Delete a document.
+    viewQuery(type, viewName, viewParams, pageQuery, callback): Get a page of documents from a view
+      in the view's order. The pageQuery object can have offset, after, before, limit and fields properties.
+    count(type, viewName, viewParams, callback): Count the documents within a view.
+    viewIndexOf(type, viewName, viewParams, id, callback): Get the index of a document within
+      the view's order or -1 if the document is not part of the view. Only used for views which have an orderKey.
+    aggregate(type, viewName, viewParams, callback): Calculate the value of an aggregate view (a view which
+      declares aggregate: {operation, field, groupBy}). If the view has a groupBy field, calls back with an
+      object which maps each group to its value.
+    findByField(type, field, values, callback): Get all the documents whose field matches one of the values.
+      Soft-deleted documents must be excluded. The field is either id or the foreignKey of a relation.
+      Views of models which have softDelete enabled must not contain soft-deleted documents.
+    purgeDeleted(type, deletedBefore, callback): Permanently remove the soft-deleted documents
+      which were deleted before the deletedBefore date. Calls back with the ids of the removed documents.
+    changes(type, listener): Listen for changes to documents of the given type; the listener
+      is called with (err, {old_val, new_val, isOwnWrite}) where isOwnWrite is true if the change was made
+      through a storage adapter of sc-crud-rethink (in any worker). Returns a handle with a close() method.
+
+  The options object of write methods can have the following properties:
+    versionField: The name of a version field which must be incremented atomically as part of the write.
+    expectedVersion: Only perform the write if the current version of the document matches this value.
+      Otherwise, fail with an error which has a VersionConflictError name and the current document
+      as its resource property.
+    expectedValue: Only apply a field operation if the current value of the field is equal to this value
+      (a missing field is equal to null). Otherwise, fail with a VersionConflictError which also has a field property.
+
+  Write methods which are given an invalid document must fail with an error which has a ValidationError
+  name and a fieldErrors property of the form {field: {code, message}} (for the fields which can be identified).
+*/
+let ThinkyAdapter = function (options) {
+  this.options = Object.assign({}, options);
+  this.models = {};
+  this.writeMarkerField = this.options.writeMarkerField || '_crudWrite';
+};
+
+// Documents of models which have a changefeed carry a write marker field which is set to a new value
+// by every write made through this adapter. Writes made outside of sc-crud-rethink leave the marker as is
+// (or remove it) so a change is known to be our own if it modified the marker. Since a deletion cannot
+// set the marker, documents are marked as being deleted before they are removed.
+const deleteMarkerPrefix = 'delete:';
+
+ThinkyAdapter.prototype.init = function (options) {
+  this.schema = options.schema;
+  this.thinky = this.options.thinky || thinky(this.options.thinkyOptions || options.thinkyOptions);
+  this.r = this.thinky.r;
+
+  Object.keys(this.schema).forEach((modelName) => {
+    let modelSchema = this.schema[modelName];
+    let thinkyFields = getThinkyFields(modelSchema.fields);
+    if (thinkyFields && modelSchema.changefeed) {
+      thinkyFields[this.writeMarkerField] = this.thinky.type.string();
+    }
+    this.models[modelName] = this.thinky.createModel(modelName, thinkyFields);
+
+    // Views with an orderKey are ordered and paged using a compound secondary index.
+    queryTransformer.getOrderIndexes(this._getTransformOptions(), modelName).forEach((index) => {
+      this.models[modelName].ensureIndex(index.name, (doc) => {
+        return index.fields.map((field) => {
+          return doc(field).default(null);
+        });
+      });
+    });
+  });
+
+  // Related documents are looked up by their foreign key so each foreign key field has a secondary index.
+  this.foreignKeyIndexes = this._getForeignKeyIndexes();
+  Object.keys(this.foreignKeyIndexes).forEach((modelName) => {
+    Object.keys(this.foreignKeyIndexes[modelName]).forEach((field) => {
+      this.models[modelName].ensureIndex(field);
+    });
+  });
+};
+
+// Get a map of the form {modelName: {foreignKeyField: true}} based on the relations in the schema.
+ThinkyAdapter.prototype._getForeignKeyIndexes = function () {
+  let foreignKeyIndexes = {};
+  let addIndex = (modelName, field) => {
+    if (!this.models[modelName] || field === 'id') {
+      return;
+    }
+    if (!foreignKeyIndexes[modelName]) {
+      foreignKeyIndexes[modelName] = {};
+    }
+    foreignKeyIndexes[modelName][field] = true;
+  };
+  Object.keys(this.schema).forEach((modelName) => {
+    let relations = this.schema[modelName].relations || {};
+    Object.keys(relations).forEach((relationName) => {
+      let relation = relations[relationName];
+      if (relation.type === 'hasMany') {
+        addIndex(relation.model, relation.foreignKey);
+      } else if (relation.type === 'belongsTo') {
+        addIndex(modelName, relation.foreignKey);
+      }
+    });
+  });
+  return foreignKeyIndexes;
+};
+
+ThinkyAdapter.prototype._getWriteMarker = function (type, isDelete) {
+  let modelSchema = this.schema[type] || {};
+  if (!modelSchema.changefeed) {
+    return {};
+  }
+  let marker = {};
+  marker[this.writeMarkerField] = (isDelete ? deleteMarkerPrefix : '') + generateId();
+  return marker;
+};
+
+ThinkyAdapter.prototype._isOwnWrite = function (change) {
+  let oldMarker = change.old_val ? change.old_val[this.writeMarkerField] : undefined;
+  if (!change.new_val) {
+    return typeof oldMarker === 'string' && oldMarker.indexOf(deleteMarkerPrefix) === 0;
+  }
+  let newMarker = change.new_val[this.writeMarkerField];
+  return newMarker != null && newMarker !== oldMarker;
+};
+
+// The write marker is internal to the adapter so it is removed from the documents which it returns.
+ThinkyAdapter.prototype._removeWriteMarker = function (result) {
+  if (Array.isArray(result)) {
+    result.forEach((resource) => {
+      this._removeWriteMarker(resource);
+    });
+  } else if (result && typeof result === 'object') {
+    delete result[this.writeMarkerField];
+  }
+  return result;
+};
+
+ThinkyAdapter.prototype.get = function (type, id, callback) {
+  this.models[type].get(id).run(this._wrapCallback(callback));
+};
+
+ThinkyAdapter.prototype.getAll = function (type, ids, callback) {
+  this.models[type].getAll(...ids).run(this._wrapCallback(callback));
+};
+
+// Check the written fields against the thinky schema of the model one by one so that every invalid
+// field is reported (thinky itself stops at the first invalid field). If fields is not specified,
+// the resource is a whole document and all the fields of the schema are checked.
+ThinkyAdapter.prototype._getFieldErrors = function (type, resource, fields) {
+  let model = this.models[type]._getModel();
+  let fieldTypes = model._schema._schema || {};
+  let modelOptions = model._options;
+  if (!fields) {
+    fields = Object.keys(Object.assign({}, fieldTypes, resource));
+  }
+  let fieldErrors = {};
+  fields.forEach((field) => {
+    if (!fieldTypes.hasOwnProperty(field)) {
+      if (modelOptions.enforce_extra === 'strict') {
+        fieldErrors[field] = {
+          code: 'extraField',
+          message: `Extra field \`${field}\` not allowed.`
+        };
+      }
+      return;
+    }
+    try {
+      // Field types carry the options of the model (and their own, e.g. required()).
+      fieldTypes[field].validate(resource[field], '[' + field + ']');
+    } catch (err) {
+      if (!(err instanceof this.thinky.Errors.ValidationError)) {
+        throw err;
+      }
+      fieldErrors[field] = {
+        code: resource[field] === undefined ? 'required' : 'invalidType',
+        message: err.message
+      };
+    }
+  });
+  return fieldErrors;
+};
+
+// Convert thinky errors into the generic errors of the adapter interface. The write argument
+// describes what was written ({type, resource, fields}) so that validation errors can list the invalid fields.
+// If only the names of the written fields are known, the error is attributed to all of them.
+ThinkyAdapter.prototype._normalizeError = function (err, write) {
+  if (err instanceof this.thinky.Errors.DocumentNotFound) {
+    let notFoundError = new Error(err.message);
+    notFoundError.name = 'DocumentNotFoundError';
+    return notFoundError;
+  }
+  if (err && /^Duplicate primary key/.test(err.message)) {
+    // Thinky passes on the first_error of the RethinkDB write result which includes both documents.
+    let duplicateError = new Error(write && write.resource ? `A ${write.type} document with id ${write.resource.id} already exists` : 'A document with the same id already exists');
+    duplicateError.name = 'DuplicatePrimaryKeyError';
+    return duplicateError;
+  }
+  if (!(err instanceof this.thinky.Errors.ValidationError)) {
+    return err;
+  }
+  let error = new Error(err.message);
+  error.name = 'ValidationError';
+  error.fieldErrors = {};
+
+  if (write && write.resource) {
+    error.fieldErrors = this._getFieldErrors(write.type, write.resource, write.fields);
+  } else if (write && write.fields) {
+    write.fields.forEach((field) => {
+      error.fieldErrors[field] = {
+        code: 'invalid',
+        message: err.message
+      };
+    });
+  }
+  return error;
+};
+
+ThinkyAdapter.prototype._wrapCallback = function (callback, write) {
+  return (err, result) => {
+    if (err) {
+      callback(this._normalizeError(err, write));
+    } else {
+      callback(null, this._removeWriteMarker(result));
+    }
+  };
+};
+
+ThinkyAdapter.prototype.insert = function (type, resource, callback) {
+  let ModelClass = this.models[type];
+  let instance = new ModelClass(Object.assign({}, resource, this._getWriteMarker(type)));
+  instance.save(this._wrapCallback(callback, {type: type, resource: resource}));
+};
+
+ThinkyAdapter.prototype._createVersionConflictError = function (type, id, resource) {
+  let error = new Error(`The ${type} document with id ${id} has been modified by someone else`);
+  error.name = 'VersionConflictError';
+  error.resource = resource;
+  return error;
+};
+
+// Apply a write to the document inside the database so that the version check (and the check of
+// the expectedValue of the field of a field operation) and the version increment happen atomically. The write
+// result (rather than the new document) tells whether the checks passed: if they did not, the document
+// was left as is - Even if another write has already moved it to the next version.
+ThinkyAdapter.prototype._versionedReplace = function (type, id, transform, options, callback, expectedField) {
+  let versionField = options.versionField;
+  let expectedVersion = options.expectedVersion;
+  let hasExpectedValue = expectedField != null && options.hasOwnProperty('expectedValue');
+  let expectedValue = hasExpectedValue && options.expectedValue != null ? options.expectedValue : null;
+
+  this.r.table(type).get(id).replace((doc) => {
+    let newDoc = transform(doc);
+    let checks = [];
+    if (versionField) {
+      let currentVersion = doc(versionField).default(0);
+      let versionUpdate = {};
+      versionUpdate[versionField] = currentVersion.add(1);
+      newDoc = newDoc.merge(versionUpdate);
+      if (expectedVersion != null) {
+        checks.push(currentVersion.eq(expectedVersion));
+      }
+    }
+    if (hasExpectedValue) {
+      checks.push(doc(expectedField).default(null).eq(this.r.expr(expectedValue)));
+    }
+    newDoc = newDoc.merge(this._getWriteMarker(type));
+    if (!checks.length) {
+      return this.r.branch(doc.eq(null), null, newDoc);
+    }
+    return this.r.branch(doc.eq(null), null, this.r.branch(checks.reduce((check, nextCheck) => check.and(nextCheck)), newDoc, doc));
+  }, {returnChanges: 'always'}).run((err, result) => {
+    if (err) {
+      callback(this._normalizeError(err));
+      return;
+    }
+    if (result.errors) {
+      callback(new Error(result.first_error));
+      return;
+    }
+    let change = (result.changes || [])[0] || {};
+    if (!change.old_val) {
+      callback(this._normalizeError(new this.thinky.Errors.DocumentNotFound()));
+      return;
+    }
+    if (versionField && expectedVersion != null && (change.old_val[versionField] || 0) !== expectedVersion) {
+      callback(this._createVersionConflictError(type, id, this._removeWriteMarker(change.old_val)));
+      return;
+    }
+    if (hasExpectedValue && !fieldOperations.isValueEqual(change.old_val[expectedField], expectedValue)) {
+      let conflictError = this._createVersionConflictError(type, id, this._removeWriteMarker(change.old_val));
+      conflictError.field = expectedField;
+      callback(conflictError);
+      return;
+    }
+    if (versionField) {
+      this._validateReplacedDocument(type, id, change, options, callback);
+    } else {
+      callback(null, this._removeWriteMarker(change.new_val));
+    }
+  });
+};
+
+// Writes which are made through the driver are not validated by thinky so the
+// new document is validated afterwards and the write is reverted if it is invalid.
+ThinkyAdapter.prototype._validateReplacedDocument = function (type, id, change, options, callback) {
+  let ModelClass = this.models[type];
+  Promise.resolve().then(() => {
+    return new ModelClass(change.new_val).validate();
+  }).then(() => {
+    callback(null, this._removeWriteMarker(change.new_val));
+  }, (validationError) => {
+    let newVersion = change.new_val[options.versionField];
+    this.r.table(type).get(id).replace((doc) => {
+      return this.r.branch(doc(options.versionField).default(0).eq(newVersion), change.old_val, doc);
+    }).run(() => {
+      callback(this._normalizeError(validationError, {type: type, resource: change.new_val}));
+    });
+  });
+};
+
+// Both update() and merge() merge nested objects into the old value of a field so the
+// new values are wrapped with r.literal() to replace object-valued fields as a whole.
+ThinkyAdapter.prototype._getLiteralFields = function (fields) {
+  let literalFields = {};
+  Object.keys(fields).forEach((field) => {
+    literalFields[field] = this.r.literal(fields[field]);
+  });
+  return literalFields;
+};
+
+ThinkyAdapter.prototype.patch = function (type, id, fields, options, callback) {
+  let literalFields = this._getLiteralFields(fields);
+  if (options && options.versionField) {
+    this._versionedReplace(type, id, (doc) => {
+      return doc.merge(literalFields);
+    }, options, callback);
+    return;
+  }
+  this.models[type].get(id).replace((doc) => {
+    return doc.merge(literalFields, this._getWriteMarker(type));
+  }).run(this._wrapCallback(callback, {type: type, resource: fields, fields: Object.keys(fields)}));
+};
+
+ThinkyAdapter.prototype.replace = function (type, id, resource, callback) {
+  this.models[type].get(id).replace(Object.assign({}, resource, this._getWriteMarker(type))).run(this._wrapCallback(callback, {type: type, resource: resource}));
+};
+
+ThinkyAdapter.prototype.deleteField = function (type, id, field, options, callback) {
+  if (options && options.versionField) {
+    this._versionedReplace(type, id, (doc) => {
+      return doc.without(field);
+    }, options, callback);
+    return;
+  }
+  this.models[type].get(id).replace((doc) => {
+    return doc.without(field).merge(this._getWriteMarker(type));
+  }).run(this._wrapCallback(callback, {type: type, resource: {}, fields: [field]}));
+};
+
+let fieldOperationTerms = {
+  inc: (r, fieldValue, value) => {
+    return fieldValue.default(0).add(value);
+  },
+  dec: (r, fieldValue, value) => {
+    return fieldValue.default(0).sub(value);
+  },
+  push: (r, fieldValue, value) => {
+    return fieldValue.default([]).append(value);
+  },
+  addToSet: (r, fieldValue, value) => {
+    let list = fieldValue.default([]);
+    return r.branch(list.contains(value), list, list.append(value));
+  },
+  pull: (r, fieldValue, value) => {
+    return fieldValue.default([]).difference([value]);
+  },
+  setIfAbsent: (r, fieldValue, value) => {
+    return fieldValue.default(value);
+  }
+};
+
+ThinkyAdapter.prototype.applyFieldOperation = function (type, id, field, operation, value, options, callback) {
+  let transform = (doc) => {
+    let fields = {};
+    fields[field] = fieldOperationTerms[operation](this.r, doc(field), value);
+    return doc.merge(fields);
+  };
+  if (options && (options.versionField || options.hasOwnProperty('expectedValue'))) {
+    this._versionedReplace(type, id, transform, options, callback, field);
+    return;
+  }
+  this.models[type].get(id).replace((doc) => {
+    return transform(doc).merge(this._getWriteMarker(type));
+  }).run(this._wrapCallback(callback, {type: type, fields: [field]}));
+};
+
+// Delete the document only if the condition holds for it - Otherwise, fail with a version conflict.
+ThinkyAdapter.prototype._deleteIf = function (type, id, condition, callback) {
+  this.r.table(type).get(id).replace((doc) => {
+    return this.r.branch(doc.eq(null), null, this.r.branch(condition(doc), null, doc));
+  }, {returnChanges: 'always'}).run((err, result) => {
+    if (err) {
+      callback(err);
+    } else if (!result.deleted && !result.skipped) {
+      let change = (result.changes || [])[0] || {};
+      callback(this._createVersionConflictError(type, id, this._removeWriteMarker(change.new_val || null)));
+    } else {
+      callback(null);
+    }
+  });
+};
+
+ThinkyAdapter.prototype.delete = function (type, id, options, callback) {
+  let versionField = options && options.versionField;
+  let expectedVersion = options && options.expectedVersion;
+  let hasVersionCheck = !!versionField && expectedVersion != null;
+  let deleteMarker = this._getWriteMarker(type, true);
+  let deleteMarkerValue = deleteMarker[this.writeMarkerField];
+
+  let hasExpectedVersion = (doc) => {
+    return hasVersionCheck ? doc(versionField).default(0).eq(expectedVersion) : this.r.expr(true);
+  };
+
+  if (deleteMarkerValue == null) {
+    if (hasVersionCheck) {
+      this._deleteIf(type, id, hasExpectedVersion, callback);
+    } else {
+      this.r.table(type).get(id).delete().run(callback);
+    }
+    return;
+  }
+  // The document is marked first so that its deletion can be recognized in the changefeed.
+  this.r.table(type).get(id).replace((doc) => {
+    return this.r.branch(doc.eq(null), null, this.r.branch(hasExpectedVersion(doc), doc.merge(deleteMarker), doc));
+  }).run((err) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    // Any write made in between replaces the marker.
+    this._deleteIf(type, id, (doc) => {
+      return doc(this.writeMarkerField).default(null).eq(deleteMarkerValue);
+    }, callback);
+  });
+};
+
+ThinkyAdapter.prototype._getTransformOptions = function () {
+  return {
+    schema: this.schema,
+    thinky: this.thinky
+  };
+};
+
+ThinkyAdapter.prototype.viewQuery = function (type, viewName, viewParams, pageQuery, callback) {
+  let transformOptions = this._getTransformOptions();
+  let rethinkQuery = queryTransformer.constructIndexedRethinkQuery(transformOptions, this.models[type], type, viewName, viewParams, pageQuery);
+  rethinkQuery = queryTransformer.constructTransformedRethinkQuery(transformOptions, rethinkQuery, type, viewName, viewParams);
+  rethinkQuery = queryTransformer.constructPagedRethinkQuery(transformOptions, rethinkQuery, type, viewName, pageQuery, pageQuery.limit);
+  if (pageQuery.fields) {
+    rethinkQuery = rethinkQuery.pluck(...pageQuery.fields);
+  }
+  rethinkQuery.run((err, resources) => {
+    if (!err && pageQuery.before != null) {
+      // Pages which come before a cursor are fetched in reverse order.
+      resources.reverse();
+    }
+    callback(err, this._removeWriteMarker(resources));
+  });
+};
+
+ThinkyAdapter.prototype.count = function (type, viewName, viewParams, callback) {
+  let rethinkQuery = queryTransformer.constructTransformedRethinkQuery(this._getTransformOptions(), this.models[type], type, viewName, viewParams);
+  rethinkQuery.count().execute(callback);
+};
+
+// The index of a document is the number of documents which come before it in the order index
+// of the view so only views which have an orderKey are supported.
+ThinkyAdapter.prototype.viewIndexOf = function (type, viewName, viewParams, id, callback) {
+  let transformOptions = this._getTransformOptions();
+  let viewMetaData = queryTransformer.getViewMetaData(transformOptions, type, viewName);
+  if (!viewMetaData.orderKey) {
+    callback(new Error(`The ${viewName} view of the ${type} model does not have an orderKey`));
+    return;
+  }
+  this.r.table(type).get(id).run((err, resource) => {
+    if (err || !resource) {
+      callback(err || null, -1);
+      return;
+    }
+    let documentQuery = queryTransformer.constructIndexedDocumentRethinkQuery(transformOptions, this.models[type], type, viewName, viewParams, resource);
+    documentQuery = queryTransformer.constructTransformedRethinkQuery(transformOptions, documentQuery, type, viewName, viewParams);
+    let precedingQuery = queryTransformer.constructIndexedRethinkQuery(transformOptions, this.models[type], type, viewName, viewParams, {
+      before: cursor.encodeCursor(resource, viewMetaData.orderKey)
+    });
+    precedingQuery = queryTransformer.constructTransformedRethinkQuery(transformOptions, precedingQuery, type, viewName, viewParams);
+
+    documentQuery.count().execute((err, documentCount) => {
+      if (err || !documentCount) {
+        callback(err || null, -1);
+        return;
+      }
+      precedingQuery.count().execute(callback);
+    });
+  });
+};
+
+ThinkyAdapter.prototype.aggregate = function (type, viewName, viewParams, callback) {
+  let transformOptions = this._getTransformOptions();
+  let aggregate = queryTransformer.getViewMetaData(transformOptions, type, viewName).aggregate;
+  let rethinkQuery = queryTransformer.constructIndexedRethinkQuery(transformOptions, this.models[type], type, viewName, viewParams);
+  rethinkQuery = queryTransformer.constructTransformedRethinkQuery(transformOptions, rethinkQuery, type, viewName, viewParams);
+
+  let reduce = (sequence) => {
+    if (aggregate.operation === 'count') {
+      return sequence.count();
+    }
+    if (aggregate.operation === 'sum' || aggregate.operation === 'avg') {
+      return sequence[aggregate.operation](aggregate.field);
+    }
+    // The min and max commands return the whole document.
+    return sequence[aggregate.operation](aggregate.field)(aggregate.field);
+  };
+
+  if (!aggregate.groupBy) {
+    // Some operations fail on empty sequences.
+    reduce(rethinkQuery).default(null).execute(callback);
+    return;
+  }
+  reduce(rethinkQuery.group(aggregate.groupBy)).ungroup().execute((err, groups) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    let groupValues = {};
+    groups.forEach((group) => {
+      groupValues[group.group] = group.reduction;
+    });
+    callback(null, groupValues);
+  });
+};
+
+ThinkyAdapter.prototype.findByField = function (type, field, values, callback) {
+  let rethinkQuery;
+  if (field === 'id') {
+    rethinkQuery = this.models[type].getAll(...values);
+  } else if (this.foreignKeyIndexes[type] && this.foreignKeyIndexes[type][field]) {
+    rethinkQuery = this.models[type].getAll(...values, {index: field});
+  } else {
+    rethinkQuery = this.models[type].filter((doc) => {
+      return this.r.expr(values).contains(doc(field).default(null));
+    });
+  }
+  if (softDelete.isSoftDeleteEnabled(this.schema, type)) {
+    rethinkQuery = rethinkQuery.filter((doc) => {
+      return doc(softDelete.deletedAtField).default(null).eq(null);
+    });
+  }
+  rethinkQuery.run(this._wrapCallback(callback));
+};
+
+ThinkyAdapter.prototype.purgeDeleted = function (type, deletedBefore, callback) {
+  let deletedAt = this.r.row(softDelete.deletedAtField).default(null);
+  this.r.table(type).filter(
+    deletedAt.ne(null).and(deletedAt.lt(deletedBefore))
+  ).delete({returnChanges: true}).run((err, result) => {
+    if (err) {
+      callback(err);
+    } else {
+      let ids = (result.changes || []).map((change) => {
+        return change.old_val.id;
+      });
+      callback(null, ids);
+    }
+  });
+};
+
+ThinkyAdapter.prototype.changes = function (type, listener) {
+  let feed = null;
+  let isClosed = false;
+
+  this.r.table(type).changes({includeInitial: false}).run((err, newFeed) => {
+    if (err) {
+      listener(err);
+      return;
+    }
+    if (isClosed) {
+      newFeed.close().catch(() => {});
+      return;
+    }
+    feed = newFeed;
+    feed.each((err, change) => {
+      if (err) {
+        listener(err);
+        return false;
+      }
+      let isOwnWrite = this._isOwnWrite(change);
+      listener(null, {
+        old_val: this._removeWriteMarker(change.old_val),
+        new_val: this._removeWriteMarker(change.new_val),
+        isOwnWrite: isOwnWrite
+      });
+    }, () => {
+      if (!isClosed) {
+        let error = new Error(`The changefeed for the ${type} table ended unexpectedly`);
+        error.name = 'CRUDChangefeedEndedError';
+        listener(error);
+      }
+    });
+  });
+
+  return {
+    close: () => {
+      isClosed = true;
+      if (feed) {
+        feed.close().catch(() => {});
+      }
+    }
+  };
+};
+
+module.exports = ThinkyAdapter;